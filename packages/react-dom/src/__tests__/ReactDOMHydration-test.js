@@ -0,0 +1,212 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+let ReactDOMHydration;
+
+describe('ReactDOMHydration', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+    ReactDOMHydration = require('react-dom/src/client/ReactDOMHydration');
+  });
+
+  function serverRender(element) {
+    const container = document.createElement('div');
+    container.innerHTML = ReactDOMServer.renderToString(element);
+    return container;
+  }
+
+  function hydrate(element, container) {
+    const mismatches = [];
+    ReactDOMHydration.hydrate(element, container, {
+      onMismatch: mismatch => mismatches.push(mismatch),
+    });
+    return mismatches;
+  }
+
+  it('attaches to the server rendered nodes', () => {
+    function App() {
+      return (
+        <div id="root">
+          <span className="greeting">Hello</span> {'world'}
+        </div>
+      );
+    }
+    const container = serverRender(<App />);
+    expect(hydrate(<App />, container)).toEqual([]);
+    const div = container.firstChild;
+    expect(ReactDOMHydration.getElementFromNode(div).props.id).toBe('root');
+    expect(
+      ReactDOMHydration.getElementFromNode(div.firstChild).type,
+    ).toBe('span');
+  });
+
+  it('matches adjacent text nodes across separators', () => {
+    const container = serverRender(
+      <p>
+        {'a'}
+        {'b'}
+        {'c'}
+      </p>,
+    );
+    expect(container.innerHTML).toContain('a<!-- -->b<!-- -->c');
+    expect(
+      hydrate(
+        <p>
+          {'a'}
+          {'b'}
+          {'c'}
+        </p>,
+        container,
+      ),
+    ).toEqual([]);
+  });
+
+  it('reports text mismatches with a component stack', () => {
+    function Label({text}) {
+      return <span>{text}</span>;
+    }
+    const container = serverRender(<Label text="server" />);
+    const mismatches = hydrate(<Label text="client" />, container);
+    expect(mismatches.length).toBe(1);
+    expect(mismatches[0].type).toBe('text');
+    expect(mismatches[0].message).toBe(
+      'Text content did not match. Server: "server" Client: "client"',
+    );
+    if (__DEV__) {
+      expect(mismatches[0].componentStack).toContain('Label');
+    }
+  });
+
+  it('reports attribute mismatches', () => {
+    const container = serverRender(<a href="/server" title="x" />);
+    container.firstChild.setAttribute('data-extra', '');
+    const mismatches = hydrate(<a href="/client" title="x" />, container);
+    expect(mismatches.map(mismatch => mismatch.message)).toEqual([
+      'Prop `href` did not match. Server: "/server" Client: "/client"',
+      'Extra attributes from the server: data-extra',
+    ]);
+  });
+
+  it('reports extra and missing nodes', () => {
+    const container = serverRender(
+      <ul>
+        <li>one</li>
+        <li>two</li>
+      </ul>,
+    );
+    let mismatches = hydrate(
+      <ul>
+        <li>one</li>
+      </ul>,
+      container,
+    );
+    expect(mismatches.map(mismatch => mismatch.type)).toEqual(['extra']);
+    expect(mismatches[0].message).toBe(
+      'Did not expect server HTML to contain a <li> in <ul>.',
+    );
+
+    mismatches = hydrate(
+      <ul>
+        <li>one</li>
+        <li>two</li>
+        <li>three</li>
+      </ul>,
+      container,
+    );
+    expect(mismatches.map(mismatch => mismatch.type)).toEqual(['missing']);
+    expect(mismatches[0].message).toBe(
+      'Expected server HTML to contain a matching <li> in <ul>.',
+    );
+  });
+
+  it('does not report mismatches inside suppressHydrationWarning', () => {
+    const container = serverRender(
+      <time suppressHydrationWarning={true}>server</time>,
+    );
+    expect(
+      hydrate(<time suppressHydrationWarning={true}>client</time>, container),
+    ).toEqual([]);
+  });
+
+  // @gate experimental
+  it('hydrates the content of Suspense boundaries', () => {
+    const element = (
+      <div>
+        <React.Suspense fallback="Loading">
+          <span>done</span>
+        </React.Suspense>
+      </div>
+    );
+    const container = serverRender(element);
+    expect(container.innerHTML).toContain('<!--$--><span>done</span><!--/$-->');
+    expect(hydrate(element, container)).toEqual([]);
+  });
+
+  // @gate experimental
+  it('skips boundaries that the server rendered a fallback for', () => {
+    const container = document.createElement('div');
+    container.innerHTML =
+      '<div data-reactroot=""><!--$!-->Loading<!--/$--><b>after</b></div>';
+    const element = (
+      <div>
+        <React.Suspense fallback="Loading">
+          <span>done</span>
+        </React.Suspense>
+        <b>after</b>
+      </div>
+    );
+    expect(hydrate(element, container)).toEqual([]);
+  });
+
+  it('only skips the bootstrap scripts the server emitted', () => {
+    const page = (
+      <html>
+        <head>
+          <title>App</title>
+        </head>
+        <body>
+          <div>Hi</div>
+        </body>
+      </html>
+    );
+    const options = {
+      bootstrapScripts: ['/main.js'],
+      bootstrapModules: [{src: '/module.js', integrity: 'sha256-abc'}],
+      bootstrapScriptContent: 'window.start("</script>")',
+      nonce: 'R4nd0m',
+    };
+    const html = ReactDOMServer.renderToString(page, options);
+    let doc = new DOMParser().parseFromString(html, 'text/html');
+    expect(doc.body.querySelectorAll('script').length).toBe(3);
+    const mismatches = [];
+    const onMismatch = mismatch => mismatches.push(mismatch);
+    ReactDOMHydration.hydrate(page, doc, {...options, onMismatch});
+    expect(mismatches).toEqual([]);
+
+    // Other scripts in the <body> are reported, and so are the bootstrap
+    // scripts when the client doesn't know about them.
+    doc = new DOMParser().parseFromString(
+      html.replace('</body>', '<script src="/other.js"></script></body>'),
+      'text/html',
+    );
+    ReactDOMHydration.hydrate(page, doc, {...options, onMismatch});
+    expect(mismatches.map(mismatch => mismatch.message)).toEqual([
+      'Did not expect server HTML to contain a <script> in <body>.',
+    ]);
+    mismatches.length = 0;
+    ReactDOMHydration.hydrate(page, doc, {onMismatch});
+    expect(mismatches.length).toBe(4);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerAsyncString', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  // A value that suspends whoever reads it until it's resolved or rejected.
+  function createRecord() {
+    let settle;
+    const record = {
+      status: 'pending',
+      value: null,
+      promise: new Promise(resolve => {
+        settle = resolve;
+      }),
+      resolve(value) {
+        record.status = 'resolved';
+        record.value = value;
+        settle();
+      },
+      reject(error) {
+        record.status = 'rejected';
+        record.value = error;
+        settle();
+      },
+    };
+    return record;
+  }
+
+  function Read({record}) {
+    if (record.status === 'pending') {
+      throw record.promise;
+    }
+    if (record.status === 'rejected') {
+      throw record.value;
+    }
+    return record.value;
+  }
+
+  it('waits for a thenable to resolve', async () => {
+    const record = createRecord();
+    const promise = ReactDOMServer.renderToStringAsync(
+      <div>
+        <React.Suspense fallback="Loading...">
+          <span>
+            <Read record={record} />
+          </span>
+        </React.Suspense>
+      </div>,
+    );
+    setTimeout(() => record.resolve('Done'), 10);
+    expect(await promise).toBe(
+      '<div data-reactroot=""><!--$--><span>Done</span><!--/$--></div>',
+    );
+  });
+
+  it('rejects with the error of a rejected thenable', async () => {
+    const record = createRecord();
+    const promise = ReactDOMServer.renderToStaticMarkupAsync(
+      <React.Suspense fallback="Loading...">
+        <Read record={record} />
+      </React.Suspense>,
+    );
+    record.reject(new Error('Oops'));
+    await expect(promise).rejects.toThrow('Oops');
+  });
+
+  it('renders the fallback once the suspenseTimeout has elapsed', async () => {
+    const record = createRecord();
+    const markup = await ReactDOMServer.renderToStaticMarkupAsync(
+      <div>
+        <React.Suspense fallback="Loading...">
+          <Read record={record} />
+        </React.Suspense>
+      </div>,
+      {suspenseTimeout: 10},
+    );
+    expect(markup).toBe('<div><!--$!-->Loading...<!--/$--></div>');
+  });
+
+  it('waits without retrying in a loop when there is no timeout', async () => {
+    const record = createRecord();
+    let renders = 0;
+    function Counted() {
+      renders++;
+      return <Read record={record} />;
+    }
+    const promise = ReactDOMServer.renderToStaticMarkupAsync(
+      <React.Suspense fallback="Loading...">
+        <Counted />
+      </React.Suspense>,
+      {suspenseTimeout: Infinity},
+    );
+    setTimeout(() => record.resolve('Done'), 20);
+    expect(await promise).toBe('<!--$-->Done<!--/$-->');
+    expect(renders).toBe(2);
+  });
+
+  it('only falls back at the closest boundary of a nested Suspense', async () => {
+    const outer = createRecord();
+    const inner = createRecord();
+    outer.resolve('Outer');
+    const element = (
+      <React.Suspense fallback="Loading outer...">
+        <Read record={outer} />
+        <React.Suspense fallback="Loading inner...">
+          <Read record={inner} />
+        </React.Suspense>
+      </React.Suspense>
+    );
+
+    expect(
+      await ReactDOMServer.renderToStaticMarkupAsync(element, {
+        suspenseTimeout: 10,
+      }),
+    ).toBe('<!--$-->Outer<!--$!-->Loading inner...<!--/$--><!--/$-->');
+
+    const promise = ReactDOMServer.renderToStaticMarkupAsync(element);
+    inner.resolve('Inner');
+    expect(await promise).toBe(
+      '<!--$-->Outer<!--$-->Inner<!--/$--><!--/$-->',
+    );
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+// Stands in for a PropTypes validator.
+function anything() {
+  return null;
+}
+
+function printContext(context) {
+  return Object.keys(context)
+    .map(key => key + '=' + context[key])
+    .join(',');
+}
+
+describe('ReactDOMServerClassComponents', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  function render(element) {
+    return ReactDOMServer.renderToStaticMarkup(element);
+  }
+
+  it('renders what render returns, with props and state', () => {
+    class Greeting extends React.Component {
+      state = {punctuation: '!'};
+      render() {
+        return (
+          <p>
+            {'Hello, ' + this.props.name + this.state.punctuation}
+          </p>
+        );
+      }
+    }
+    expect(render(<Greeting name="Ada" />)).toBe('<p>Hello, Ada!</p>');
+  });
+
+  it('merges the result of getDerivedStateFromProps into the state', () => {
+    class Greeting extends React.Component {
+      state = {greeting: 'Hello', name: null};
+      static getDerivedStateFromProps(props, state) {
+        return {name: props.name.toUpperCase()};
+      }
+      render() {
+        return this.state.greeting + ', ' + this.state.name;
+      }
+    }
+    expect(render(<Greeting name="Ada" />)).toBe('Hello, ADA');
+  });
+
+  it('applies setState calls from componentWillMount before rendering', () => {
+    class Counter extends React.Component {
+      state = {count: 0, label: 'Count'};
+      UNSAFE_componentWillMount() {
+        this.setState({count: 1});
+        this.setState(state => ({count: state.count + 1}));
+      }
+      render() {
+        return this.state.label + ': ' + this.state.count;
+      }
+    }
+    expect(render(<Counter />)).toBe('Count: 2');
+  });
+
+  it('does not call componentWillMount when there is getDerivedStateFromProps', () => {
+    const willMount = jest.fn();
+    class Component extends React.Component {
+      state = {};
+      static getDerivedStateFromProps() {
+        return null;
+      }
+      UNSAFE_componentWillMount() {
+        willMount();
+      }
+      render() {
+        return 'Done';
+      }
+    }
+    expect(render(<Component />)).toBe('Done');
+    expect(willMount).not.toHaveBeenCalled();
+  });
+
+  it('only passes the legacy context keys a component asks for', () => {
+    class Provider extends React.Component {
+      static childContextTypes = {theme: anything, locale: anything};
+      getChildContext() {
+        return {theme: 'dark', locale: 'en'};
+      }
+      render() {
+        return this.props.children;
+      }
+    }
+    class ThemeLabel extends React.Component {
+      static contextTypes = {theme: anything};
+      render() {
+        return printContext(this.context);
+      }
+    }
+    function LocaleLabel(props, context) {
+      return printContext(context);
+    }
+    LocaleLabel.contextTypes = {locale: anything};
+    class NoContext extends React.Component {
+      render() {
+        return '(' + printContext(this.context) + ')';
+      }
+    }
+
+    expect(
+      render(
+        <Provider>
+          <ThemeLabel />|<LocaleLabel />|<NoContext />
+        </Provider>,
+      ),
+    ).toBe('theme=dark|locale=en|()');
+  });
+});
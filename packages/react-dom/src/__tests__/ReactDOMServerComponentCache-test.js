@@ -0,0 +1,151 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerComponentCache', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  it('reuses the markup of a component with the same cache key', () => {
+    let renders = 0;
+    const Card = React.memo(function Card({id}) {
+      renders++;
+      return <div className="card">Card {id}</div>;
+    });
+    Card.cacheKey = props => props.id;
+
+    const componentCache = ReactDOMServer.createComponentCache();
+    const first = ReactDOMServer.renderToString(
+      <main>
+        <Card id={1} />
+        <Card id={2} />
+      </main>,
+      {componentCache},
+    );
+    expect(renders).toBe(2);
+
+    const second = ReactDOMServer.renderToString(
+      <main>
+        <Card id={1} />
+        <Card id={2} />
+        <Card id={1} />
+      </main>,
+      {componentCache},
+    );
+    expect(renders).toBe(2);
+    expect(second).toBe(
+      first.replace(
+        '</main>',
+        '<div class="card">Card <!-- -->1</div></main>',
+      ),
+    );
+  });
+
+  it('renders again when a context it read has changed', () => {
+    const Theme = React.createContext('light');
+    let renders = 0;
+    const Button = React.memo(function Button({label}) {
+      renders++;
+      const theme = React.useContext(Theme);
+      return <button className={theme}>{label}</button>;
+    });
+    Button.cacheKey = props => props.label;
+
+    const componentCache = ReactDOMServer.createComponentCache();
+    function render(theme) {
+      return ReactDOMServer.renderToStaticMarkup(
+        <Theme.Provider value={theme}>
+          <Button label="OK" />
+        </Theme.Provider>,
+        {componentCache},
+      );
+    }
+
+    expect(render('light')).toBe('<button class="light">OK</button>');
+    expect(render('light')).toBe('<button class="light">OK</button>');
+    expect(renders).toBe(1);
+    expect(render('dark')).toBe('<button class="dark">OK</button>');
+    expect(renders).toBe(2);
+  });
+
+  it('does not cache markup with generated IDs', () => {
+    let renders = 0;
+    const Field = React.memo(function Field() {
+      renders++;
+      const id = React.unstable_useOpaqueIdentifier();
+      return <label htmlFor={id}>Name</label>;
+    });
+    Field.cacheKey = () => 'name';
+
+    const componentCache = ReactDOMServer.createComponentCache();
+    const first = ReactDOMServer.renderToStaticMarkup(<Field />, {
+      componentCache,
+    });
+    const second = ReactDOMServer.renderToStaticMarkup(
+      <>
+        <Field />
+        <Field />
+      </>,
+      {componentCache},
+    );
+    expect(renders).toBe(3);
+    expect(second.startsWith(first)).toBe(true);
+    expect(second).not.toBe(first + first);
+  });
+
+  it('does not reuse markup with the nonce of another response', () => {
+    const ShadowRoot = React.unstable_ShadowRoot;
+    const Card = React.memo(function Card() {
+      return (
+        <div>
+          <ShadowRoot adoptedStyleSheets={['b { color: red; }']}>
+            <b>Card</b>
+          </ShadowRoot>
+        </div>
+      );
+    });
+    Card.cacheKey = () => 'card';
+    const Badge = React.memo(function Badge() {
+      return <user-badge />;
+    });
+    Badge.cacheKey = () => 'badge';
+
+    const componentCache = ReactDOMServer.createComponentCache();
+    function render(nonce) {
+      return ReactDOMServer.renderToStaticMarkup(
+        <>
+          <Card />
+          <Badge />
+        </>,
+        {
+          componentCache,
+          nonce,
+          customElements: {
+            'user-badge': () => ({
+              html: '<slot></slot>',
+              adoptedStyleSheets: [':host { display: block; }'],
+            }),
+          },
+        },
+      );
+    }
+
+    expect(render('AAA')).toContain('<style nonce="AAA">');
+    const second = render('BBB');
+    expect(second).not.toContain('AAA');
+    expect(second.split('<style nonce="BBB">').length).toBe(3);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerCustomElements', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  it('only serializes primitive props as attributes', () => {
+    const html = ReactDOMServer.renderToStaticMarkup(
+      <my-element
+        className="card"
+        label="Hello"
+        count={3}
+        open={true}
+        hidden={false}
+        onSelect={() => {}}
+        items={[1, 2]}
+        config={{a: 1}}
+        marker={Symbol('marker')}
+      />,
+    );
+    expect(html).toBe(
+      '<my-element class="card" label="Hello" count="3" open=""></my-element>',
+    );
+  });
+
+  it('emits a declarative shadow root from the registry', () => {
+    const html = ReactDOMServer.renderToStaticMarkup(
+      <div>
+        <user-card name="Ada">
+          <span slot="extra">Light</span>
+        </user-card>
+        <button is="fancy-button" />
+        <other-element />
+      </div>,
+      {
+        customElements: {
+          'user-card': props => ({
+            html: '<slot name="extra"></slot><b>' + props.name + '</b>',
+          }),
+          'fancy-button': () => ({
+            html: '<slot></slot>',
+            mode: 'closed',
+            delegatesFocus: true,
+          }),
+          'other-element': () => null,
+        },
+      },
+    );
+    expect(html).toBe(
+      '<div>' +
+        '<user-card name="Ada">' +
+        '<template shadowrootmode="open"><slot name="extra"></slot><b>Ada</b></template>' +
+        '<span slot="extra">Light</span>' +
+        '</user-card>' +
+        '<button is="fancy-button">' +
+        '<template shadowrootmode="closed" shadowrootdelegatesfocus="">' +
+        '<slot></slot></template>' +
+        '</button>' +
+        '<other-element></other-element>' +
+        '</div>',
+    );
+  });
+
+  it('throws when a renderer returns something other than a shadow root', () => {
+    expect(() =>
+      ReactDOMServer.renderToStaticMarkup(<x-broken />, {
+        customElements: {'x-broken': () => '<p></p>'},
+      }),
+    ).toThrow(
+      'The custom element renderer for <x-broken> must return null or an ' +
+        'object with the `html` of its shadow root.',
+    );
+  });
+
+  it('renders <ShadowRoot> children into a declarative shadow root', () => {
+    const ShadowRoot = React.unstable_ShadowRoot;
+    const styleSheets = [':host{display:block}', 'b{color:red}'];
+    function Card({title, children}) {
+      return (
+        <design-card>
+          <ShadowRoot adoptedStyleSheets={styleSheets}>
+            <b>{title}</b>
+            <slot />
+          </ShadowRoot>
+          {children}
+        </design-card>
+      );
+    }
+    const html = ReactDOMServer.renderToStaticMarkup(
+      <Card title="Title">Body</Card>,
+      {nonce: 'abc'},
+    );
+    expect(html).toBe(
+      '<design-card>' +
+        '<template shadowrootmode="open">' +
+        '<style nonce="abc">:host{display:block}</style>' +
+        '<style nonce="abc">b{color:red}</style>' +
+        '<b>Title</b><slot></slot>' +
+        '</template>' +
+        'Body' +
+        '</design-card>',
+    );
+  });
+
+  it('escapes the end of a style element in adopted stylesheets', () => {
+    const ShadowRoot = React.unstable_ShadowRoot;
+    const html = ReactDOMServer.renderToStaticMarkup(
+      <x-card>
+        <ShadowRoot mode="closed" adoptedStyleSheets={['</style><script>']} />
+      </x-card>,
+    );
+    expect(html).toBe(
+      '<x-card><template shadowrootmode="closed">' +
+        '<style>\\3c /style>\\3c script></style>' +
+        '</template></x-card>',
+    );
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+let ReactDOMServerBrowser;
+
+describe('ReactDOMServerDocument', () => {
+  let page;
+
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+    ReactDOMServerBrowser = require('react-dom/server.browser');
+
+    page = (
+      <html>
+        <head>
+          <title>App</title>
+        </head>
+        <body>
+          <div id="root">Hi</div>
+        </body>
+      </html>
+    );
+  });
+
+  async function readResult(stream) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let result = '';
+    while (true) {
+      const {done, value} = await reader.read();
+      if (done) {
+        return result;
+      }
+      result += decoder.decode(value, {stream: true});
+    }
+  }
+
+  const options = {
+    nonce: 'r4nd0m',
+    bootstrapScriptContent: 'window.__DATA__ = "</script>";',
+    bootstrapScripts: [
+      '/main.js',
+      {src: '/vendor.js', integrity: 'sha384-abc', crossOrigin: 'anonymous'},
+    ],
+    bootstrapModules: ['/app.mjs'],
+  };
+
+  const expectedMarkup =
+    '<!DOCTYPE html><html><head><title>App</title></head><body>' +
+    '<div id="root">Hi</div>' +
+    '<script nonce="r4nd0m">window.__DATA__ = "</\\u0073cript>";</script>' +
+    '<script src="/main.js" nonce="r4nd0m" async=""></script>' +
+    '<script src="/vendor.js" nonce="r4nd0m" integrity="sha384-abc" ' +
+    'crossorigin="anonymous" async=""></script>' +
+    '<script type="module" src="/app.mjs" nonce="r4nd0m" async=""></script>' +
+    '</body></html>';
+
+  it('emits a doctype and the bootstrap scripts for documents', () => {
+    expect(ReactDOMServer.renderToStaticMarkup(page, options)).toBe(
+      expectedMarkup,
+    );
+  });
+
+  it('emits the same document when streaming', async () => {
+    const result = await readResult(
+      ReactDOMServerBrowser.renderToReadableStream(page, options),
+    );
+    expect(result).toBe(ReactDOMServer.renderToString(page, options));
+    expect(result).toContain('<!DOCTYPE html><html data-reactroot="">');
+    expect(result).toContain('async=""></script></body></html>');
+  });
+
+  it('appends the bootstrap scripts when there is no body', () => {
+    expect(
+      ReactDOMServer.renderToStaticMarkup(<div />, {
+        bootstrapScripts: ['/main.js'],
+      }),
+    ).toBe('<div></div><script src="/main.js" async=""></script>');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+let Boundary;
+
+describe('ReactDOMServerErrorBoundaries', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+
+    Boundary = class extends React.Component {
+      state = {error: null};
+      static getDerivedStateFromError(error) {
+        return {error};
+      }
+      render() {
+        if (this.state.error !== null) {
+          return this.props.fallback(this.state.error);
+        }
+        return this.props.children;
+      }
+    };
+  });
+
+  function Throws({message}) {
+    throw new Error(message);
+  }
+
+  it('renders the error state of a boundary whose child throws', () => {
+    expect(
+      ReactDOMServer.renderToStaticMarkup(
+        <div>
+          <Boundary fallback={error => <b>{error.message}</b>}>
+            <span>Thrown away</span>
+            <Throws message="Oops" />
+          </Boundary>
+          <span>After</span>
+        </div>,
+      ),
+    ).toBe('<div><b>Oops</b><span>After</span></div>');
+  });
+
+  it('is caught by the closest boundary', () => {
+    expect(
+      ReactDOMServer.renderToStaticMarkup(
+        <Boundary fallback={() => 'Outer'}>
+          <p>
+            <Boundary fallback={() => 'Inner'}>
+              <Throws message="Oops" />
+            </Boundary>
+          </p>
+        </Boundary>,
+      ),
+    ).toBe('<p>Inner</p>');
+  });
+
+  it('passes an error thrown by the error state to the next boundary up', () => {
+    expect(
+      ReactDOMServer.renderToStaticMarkup(
+        <Boundary fallback={error => 'Outer caught ' + error.message}>
+          <p>
+            <Boundary fallback={() => <Throws message="Inner failed" />}>
+              <Throws message="Oops" />
+            </Boundary>
+          </p>
+        </Boundary>,
+      ),
+    ).toBe('Outer caught Inner failed');
+  });
+
+  it('calls onError with the caught error', () => {
+    const onError = jest.fn();
+    ReactDOMServer.renderToStaticMarkup(
+      <Boundary fallback={() => 'Caught'}>
+        <Throws message="Oops" />
+      </Boundary>,
+      {onError},
+    );
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].message).toBe('Oops');
+    expect(onError.mock.calls[0][1]).toContain('Throws');
+  });
+
+  it('throws when there is no boundary', () => {
+    expect(() =>
+      ReactDOMServer.renderToStaticMarkup(
+        <div>
+          <Throws message="Oops" />
+        </div>,
+      ),
+    ).toThrow('Oops');
+    // Later renders are not affected.
+    expect(ReactDOMServer.renderToStaticMarkup(<div>Fine</div>)).toBe(
+      '<div>Fine</div>',
+    );
+  });
+
+  it('lets a module pattern component be a boundary', () => {
+    function ModuleBoundary(props) {
+      return {
+        state: {error: null},
+        render() {
+          return this.state.error !== null
+            ? 'Caught ' + this.state.error.message
+            : props.children;
+        },
+      };
+    }
+    ModuleBoundary.getDerivedStateFromError = error => ({error});
+
+    let markup;
+    expect(() => {
+      markup = ReactDOMServer.renderToStaticMarkup(
+        <ModuleBoundary>
+          <Throws message="Oops" />
+        </ModuleBoundary>,
+      );
+    }).toErrorDev(
+      'The <ModuleBoundary /> component appears to be a function component ' +
+        'that returns a class instance.',
+    );
+    expect(markup).toBe('Caught Oops');
+  });
+
+  it('calls getDerivedStateFromProps of a module pattern component', () => {
+    function Greeting(props) {
+      return {
+        state: {},
+        render() {
+          return this.state.greeting;
+        },
+      };
+    }
+    Greeting.getDerivedStateFromProps = props => ({
+      greeting: 'Hello, ' + props.name,
+    });
+
+    let markup;
+    expect(() => {
+      markup = ReactDOMServer.renderToStaticMarkup(<Greeting name="Ada" />);
+    }).toErrorDev(
+      'The <Greeting /> component appears to be a function component ' +
+        'that returns a class instance.',
+    );
+    expect(markup).toBe('Hello, Ada');
+  });
+});
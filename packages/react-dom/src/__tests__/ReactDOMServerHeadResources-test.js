@@ -0,0 +1,169 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerHeadResources', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  it('hoists and dedupes head elements rendered anywhere', () => {
+    const {html, head} = ReactDOMServer.renderToStringWithResources(
+      <div>
+        <title>Page {'one'}</title>
+        <link rel="stylesheet" href="/a.css" />
+        <link rel="stylesheet" href="/a.css" />
+        <meta name="description" content="first" />
+        <meta name="description" content="second" />
+        <meta itemProp="name" content="microdata" />
+        <svg>
+          <title>Icon</title>
+        </svg>
+        <p>Body</p>
+      </div>,
+      {hoistHeadResources: true},
+    );
+    expect(head).toBe(
+      '<title>Page one</title>' +
+        '<link rel="stylesheet" href="/a.css"/>' +
+        '<meta name="description" content="first"/>',
+    );
+    expect(html).toBe(
+      '<div data-reactroot="">' +
+        '<meta itemProp="name" content="microdata"/>' +
+        '<svg><title>Icon</title></svg>' +
+        '<p>Body</p>' +
+        '</div>',
+    );
+  });
+
+  it('injects hoisted elements into the head of a document', () => {
+    function Page() {
+      return (
+        <div>
+          <title>Home</title>
+          <meta charSet="utf-8" />
+          <link rel="stylesheet" href="/base.css" />
+          <link rel="stylesheet" href="/home.css" />
+          Hi
+        </div>
+      );
+    }
+    const html = ReactDOMServer.renderToStaticMarkup(
+      <html>
+        <head>
+          <link rel="stylesheet" href="/base.css" />
+        </head>
+        <body>
+          <Page />
+        </body>
+      </html>,
+      {hoistHeadResources: true},
+    );
+    expect(html).toBe(
+      '<!DOCTYPE html><html><head>' +
+        '<link rel="stylesheet" href="/base.css"/>' +
+        '<meta charSet="utf-8"/>' +
+        '<title>Home</title>' +
+        '<link rel="stylesheet" href="/home.css"/>' +
+        '</head>' +
+        '<body><div>Hi</div></body></html>',
+    );
+  });
+
+  it('drops head elements of a Suspense boundary that fell back', () => {
+    function Suspends() {
+      throw new Promise(() => {});
+    }
+    const {html, head} = ReactDOMServer.renderToStringWithResources(
+      <div>
+        <React.Suspense fallback="Loading">
+          <title>Profile</title>
+          <link rel="stylesheet" href="/profile.css" />
+          <Suspends />
+        </React.Suspense>
+        <link rel="stylesheet" href="/profile.css" />
+      </div>,
+      {hoistHeadResources: true},
+    );
+    expect(head).toBe('<link rel="stylesheet" href="/profile.css"/>');
+    expect(html).toBe(
+      '<div data-reactroot=""><!--$!-->Loading<!--/$--></div>',
+    );
+  });
+
+  it('drops head elements of content that an error boundary replaced', () => {
+    class ErrorBoundary extends React.Component {
+      state = {error: null};
+      static getDerivedStateFromError(error) {
+        return {error};
+      }
+      render() {
+        return this.state.error !== null ? (
+          <title>Error</title>
+        ) : (
+          this.props.children
+        );
+      }
+    }
+    function Throws() {
+      throw new Error('Oops');
+    }
+    const {head} = ReactDOMServer.renderToStringWithResources(
+      <ErrorBoundary>
+        <title>Profile</title>
+        <Throws />
+      </ErrorBoundary>,
+      {hoistHeadResources: true},
+    );
+    expect(head).toBe('<title>Error</title>');
+  });
+
+  it('keeps head elements of a boundary that completes after the head was flushed', async () => {
+    let resolved = false;
+    let resolve;
+    const promise = new Promise(r => {
+      resolve = () => {
+        resolved = true;
+        r();
+      };
+    });
+    function Profile() {
+      if (!resolved) {
+        throw promise;
+      }
+      return 'Ada';
+    }
+    const markup = ReactDOMServer.renderToStaticMarkupAsync(
+      <html>
+        <head />
+        <body>
+          <React.Suspense fallback="Loading">
+            <title>Profile</title>
+            <Profile />
+          </React.Suspense>
+        </body>
+      </html>,
+      {hoistHeadResources: true},
+    );
+    setTimeout(resolve, 10);
+    // The head went out while the boundary was waiting, so the title goes
+    // where the boundary is.
+    expect(await markup).toBe(
+      '<!DOCTYPE html><html><head></head>' +
+        '<body><title>Profile</title><!--$-->Ada<!--/$--></body></html>',
+    );
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerHooks', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  function render(element) {
+    return ReactDOMServer.renderToStaticMarkup(element);
+  }
+
+  it('renders the initial state of useState', () => {
+    function Counter() {
+      const [count] = React.useState(() => 1);
+      const [label] = React.useState('Count');
+      return (
+        <span>
+          {label}: {count}
+        </span>
+      );
+    }
+    expect(render(<Counter />)).toBe('<span>Count: 1</span>');
+  });
+
+  it('applies updates scheduled during render', () => {
+    function Counter() {
+      const [count, setCount] = React.useState(0);
+      if (count < 3) {
+        setCount(count + 1);
+      }
+      return <span>{count}</span>;
+    }
+    expect(render(<Counter />)).toBe('<span>3</span>');
+  });
+
+  it('throws when render keeps scheduling updates', () => {
+    function Loop() {
+      const [count, setCount] = React.useState(0);
+      setCount(count + 1);
+      return count;
+    }
+    expect(() => render(<Loop />)).toThrow('Too many re-renders.');
+  });
+
+  it('renders the initial state of useReducer', () => {
+    function reducer(state, action) {
+      return action === 'increment' ? state + 1 : state;
+    }
+    function Counter({initialCount}) {
+      const [count, dispatch] = React.useReducer(
+        reducer,
+        initialCount,
+        initial => initial * 10,
+      );
+      if (count < 12) {
+        dispatch('increment');
+      }
+      return <span>{count}</span>;
+    }
+    expect(render(<Counter initialCount={1} />)).toBe('<span>12</span>');
+  });
+
+  it('computes useMemo once, even across render phase updates', () => {
+    const compute = jest.fn(value => value * 2);
+    function Doubled({value}) {
+      const [renders, setRenders] = React.useState(0);
+      const doubled = React.useMemo(() => compute(value), [value]);
+      if (renders < 2) {
+        setRenders(renders + 1);
+      }
+      return <span>{doubled}</span>;
+    }
+    expect(render(<Doubled value={21} />)).toBe('<span>42</span>');
+    expect(compute).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the same useRef and useCallback across render phase updates', () => {
+    const refs = [];
+    const callbacks = [];
+    function Component() {
+      const [renders, setRenders] = React.useState(0);
+      const ref = React.useRef('initial');
+      const callback = React.useCallback(() => {}, []);
+      refs.push(ref);
+      callbacks.push(callback);
+      if (renders < 1) {
+        setRenders(renders + 1);
+      }
+      return <span>{ref.current}</span>;
+    }
+    expect(render(<Component />)).toBe('<span>initial</span>');
+    expect(refs.length).toBe(2);
+    expect(refs[0]).toBe(refs[1]);
+    expect(callbacks[0]).toBe(callbacks[1]);
+  });
+
+  it('reads the closest provider with useContext', () => {
+    const Theme = React.createContext('light');
+    function Label() {
+      return <span>{React.useContext(Theme)}</span>;
+    }
+    expect(
+      render(
+        <div>
+          <Label />
+          <Theme.Provider value="dark">
+            <Label />
+          </Theme.Provider>
+        </div>,
+      ),
+    ).toBe('<div><span>light</span><span>dark</span></div>');
+  });
+
+  it('does not run effects', () => {
+    const effect = jest.fn();
+    const imperativeHandle = jest.fn();
+    function Component() {
+      const ref = React.useRef(null);
+      React.useEffect(effect);
+      React.useImperativeHandle(ref, imperativeHandle);
+      React.useDebugValue('debug');
+      return <span>Done</span>;
+    }
+    expect(render(<Component />)).toBe('<span>Done</span>');
+    expect(effect).not.toHaveBeenCalled();
+    expect(imperativeHandle).not.toHaveBeenCalled();
+  });
+
+  it('warns about useLayoutEffect in DEV', () => {
+    const effect = jest.fn();
+    function Component() {
+      React.useLayoutEffect(effect);
+      return <span>Done</span>;
+    }
+    let markup;
+    expect(() => {
+      markup = render(<Component />);
+    }).toErrorDev(
+      'useLayoutEffect does nothing on the server, because its effect ' +
+        "cannot be encoded into the server renderer's output format.",
+    );
+    expect(markup).toBe('<span>Done</span>');
+    expect(effect).not.toHaveBeenCalled();
+  });
+
+  it('throws when a Hook is called outside of a function component', () => {
+    class Component extends React.Component {
+      render() {
+        const [value] = React.useState('Nope');
+        return value;
+      }
+    }
+    expect(() => render(<Component />)).toThrow('Invalid hook call.');
+    // Later renders are not affected.
+    function Fine() {
+      const [value] = React.useState('Fine');
+      return value;
+    }
+    expect(render(<Fine />)).toBe('Fine');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+let ReactThreadIDAllocator;
+
+describe('ReactDOMServerNodeStream', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+    ReactThreadIDAllocator = require('react-dom/src/server/ReactThreadIDAllocator');
+  });
+
+  // IDs are handed out last freed first, so we get the first one back when
+  // every renderer has released its ID.
+  function expectAllThreadIDsToBeFree() {
+    const threadID = ReactThreadIDAllocator.allocThreadID();
+    ReactThreadIDAllocator.freeThreadID(threadID);
+    expect(threadID).toBe(1);
+  }
+
+  function createList(count, Item) {
+    const items = [];
+    for (let i = 0; i < count; i++) {
+      items.push(<Item key={i} index={i} />);
+    }
+    return <ul>{items}</ul>;
+  }
+
+  function waitFor(stream, event) {
+    return new Promise(resolve => stream.once(event, resolve));
+  }
+
+  function readToEnd(stream) {
+    return new Promise((resolve, reject) => {
+      let markup = '';
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => {
+        markup += chunk;
+      });
+      stream.on('end', () => resolve(markup));
+      stream.on('error', reject);
+    });
+  }
+
+  it('only renders as much as the consumer asks for', async () => {
+    let rendered = 0;
+    function Item({index}) {
+      rendered++;
+      return <li>{'Item ' + index}</li>;
+    }
+    const list = createList(5000, Item);
+    const stream = ReactDOMServer.renderToStaticNodeStream(list);
+    expect(rendered).toBe(0);
+
+    // Fill the stream's buffer without consuming it.
+    await waitFor(stream, 'readable');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(rendered).toBeGreaterThan(0);
+    expect(rendered).toBeLessThan(5000);
+
+    const markup = await readToEnd(stream);
+    expect(rendered).toBe(5000);
+    expect(markup).toBe(ReactDOMServer.renderToStaticMarkup(list));
+    expectAllThreadIDsToBeFree();
+  });
+
+  it('releases the thread ID when destroyed before the end', async () => {
+    function Item({index}) {
+      return <li>{'Item ' + index}</li>;
+    }
+    const stream = ReactDOMServer.renderToStaticNodeStream(
+      createList(5000, Item),
+    );
+    await waitFor(stream, 'readable');
+    expect(stream.read()).not.toBe(null);
+    stream.destroy();
+    await waitFor(stream, 'close');
+    expectAllThreadIDsToBeFree();
+  });
+
+  it('emits an error thrown mid-render as an error event', async () => {
+    function Item({index}) {
+      if (index === 4000) {
+        throw new Error('Oops');
+      }
+      return <li>{'Item ' + index}</li>;
+    }
+    const stream = ReactDOMServer.renderToStaticNodeStream(
+      createList(5000, Item),
+    );
+    let received = '';
+    stream.on('data', chunk => {
+      received += chunk;
+    });
+    const closed = waitFor(stream, 'close');
+    const error = await waitFor(stream, 'error');
+    expect(error.message).toBe('Oops');
+    // Whatever was rendered before the error was still streamed.
+    expect(received.startsWith('<ul><li>Item 0</li>')).toBe(true);
+    await closed;
+    expectAllThreadIDsToBeFree();
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerOutOfOrderStreaming', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  // A value that suspends whoever reads it until it's resolved or rejected.
+  function createRecord() {
+    let settle;
+    const record = {
+      status: 'pending',
+      value: null,
+      promise: new Promise(resolve => {
+        settle = resolve;
+      }),
+      resolve(value) {
+        record.status = 'resolved';
+        record.value = value;
+        settle();
+      },
+      reject(error) {
+        record.status = 'rejected';
+        record.value = error;
+        settle();
+      },
+    };
+    return record;
+  }
+
+  function Read({record}) {
+    if (record.status === 'pending') {
+      throw record.promise;
+    }
+    if (record.status === 'rejected') {
+      throw record.value;
+    }
+    return record.value;
+  }
+
+  // Collects the stream's chunks, calling onChunk with each one as it
+  // arrives.
+  function readChunks(stream, onChunk) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => {
+        chunks.push(chunk);
+        if (onChunk) {
+          onChunk(chunk);
+        }
+      });
+      stream.on('end', () => resolve(chunks));
+      stream.on('error', reject);
+    });
+  }
+
+  function renderStream(record, options) {
+    return ReactDOMServer.renderToStaticNodeStream(
+      <div>
+        <React.Suspense fallback="Loading...">
+          <span>
+            <Read record={record} />
+          </span>
+        </React.Suspense>
+      </div>,
+      options,
+    );
+  }
+
+  it('renders the fallback right away when not asked to wait', async () => {
+    const record = createRecord();
+    const chunks = await readChunks(renderStream(record));
+    expect(chunks.join('')).toBe('<div><!--$!-->Loading...<!--/$--></div>');
+  });
+
+  it('streams the content of a deferred boundary after its fallback', async () => {
+    const record = createRecord();
+    const chunks = await readChunks(
+      renderStream(record, {outOfOrderStreaming: true}),
+      () => {
+        // Only resolve the data once the shell has been flushed.
+        record.resolve('Done');
+      },
+    );
+    expect(chunks[0]).toBe(
+      '<div><!--$?--><template id="B:0"></template>Loading...<!--/$--></div>',
+    );
+    const rest = chunks.slice(1).join('');
+    expect(
+      rest.startsWith('<div hidden id="S:0"><span>Done</span></div><script>'),
+    ).toBe(true);
+    expect(rest).toContain('function $RC(');
+    expect(rest.endsWith('$RC("B:0","S:0")</script>')).toBe(true);
+  });
+
+  it('only emits the $RC function once', async () => {
+    const first = createRecord();
+    const second = createRecord();
+    const chunks = await readChunks(
+      ReactDOMServer.renderToStaticNodeStream(
+        <div>
+          <React.Suspense fallback="Loading...">
+            <Read record={first} />
+          </React.Suspense>
+          <React.Suspense fallback="Loading...">
+            <Read record={second} />
+          </React.Suspense>
+        </div>,
+        {outOfOrderStreaming: true},
+      ),
+      () => {
+        first.resolve('One');
+        second.resolve('Two');
+      },
+    );
+    const markup = chunks.join('');
+    expect(markup).toContain('<template id="B:0">');
+    expect(markup).toContain('<template id="B:1">');
+    expect(markup).toContain('<div hidden id="S:0">One</div>');
+    expect(markup).toContain('<div hidden id="S:1">Two</div>');
+    expect(markup.split('function $RC(').length).toBe(2);
+    expect(markup).toContain('$RC("B:0","S:0")');
+    expect(markup).toContain('$RC("B:1","S:1")');
+  });
+
+  it('adds the nonce to the inline scripts', async () => {
+    const record = createRecord();
+    const chunks = await readChunks(
+      renderStream(record, {outOfOrderStreaming: true, nonce: 'R4nd0m'}),
+      () => record.resolve('Done'),
+    );
+    const markup = chunks.join('');
+    expect(markup).toContain('</div><script nonce="R4nd0m">function $RC(');
+    expect(markup).not.toContain('<script>');
+  });
+
+  it('lets the client render a deferred boundary whose content throws', async () => {
+    const record = createRecord();
+    const onError = jest.fn();
+    const chunks = await readChunks(
+      renderStream(record, {outOfOrderStreaming: true, onError}),
+      () => record.reject(new Error('Oops')),
+    );
+    expect(chunks[0]).toBe(
+      '<div><!--$?--><template id="B:0"></template>Loading...<!--/$--></div>',
+    );
+    expect(chunks.slice(1).join('')).toBe(
+      '<script>var t=document.getElementById("B:0");' +
+        't&&(t.previousSibling.data="$!")</script>',
+    );
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].message).toBe('Oops');
+  });
+
+  it('lets the client render a deferred boundary that runs out of time', async () => {
+    const record = createRecord();
+    const chunks = await readChunks(
+      renderStream(record, {outOfOrderStreaming: true, suspenseTimeout: 10}),
+    );
+    expect(chunks.join('')).toBe(
+      '<div><!--$?--><template id="B:0"></template>Loading...<!--/$--></div>' +
+        '<script>var t=document.getElementById("B:0");' +
+        't&&(t.previousSibling.data="$!")</script>',
+    );
+  });
+});
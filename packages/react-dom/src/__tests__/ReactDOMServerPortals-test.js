@@ -0,0 +1,174 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+let ReactDOMServerBrowser;
+
+describe('ReactDOMServerPortals', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+    ReactDOMServerBrowser = require('react-dom/server.browser');
+  });
+
+  // What ReactDOM.createPortal returns, without depending on the client.
+  function createPortal(children, containerInfo) {
+    return {
+      $$typeof: Symbol.for('react.portal'),
+      key: null,
+      children,
+      containerInfo,
+      implementation: null,
+    };
+  }
+
+  function App() {
+    return (
+      <main>
+        <h1>Title</h1>
+        {createPortal(<div className="modal">Modal</div>, 'modal-root')}
+        <p>Body</p>
+        {createPortal('Tooltip', {id: 'tooltip-root'})}
+      </main>
+    );
+  }
+
+  it('marks where portals were placed and renders them out of band', () => {
+    const {html, portals} = ReactDOMServer.renderToStringWithResources(
+      <App />,
+    );
+    expect(html).toBe(
+      '<main data-reactroot=""><h1>Title</h1><!--p:modal-root-->' +
+        '<p>Body</p><!--p:tooltip-root--></main>',
+    );
+    expect(portals).toEqual({
+      'modal-root': '<div class="modal">Modal</div>',
+      'tooltip-root': 'Tooltip',
+    });
+  });
+
+  it('appends the markup of portals into the same container', () => {
+    const {html, portals} = ReactDOMServer.renderToStringWithResources(
+      <div>
+        {createPortal(<span>One</span>, 'toasts')}
+        {createPortal(<span>Two</span>, 'toasts')}
+      </div>,
+    );
+    expect(html).toBe(
+      '<div data-reactroot=""><!--p:toasts--><!--p:toasts--></div>',
+    );
+    expect(portals.toasts).toBe('<span>One</span><span>Two</span>');
+  });
+
+  it('keeps the portals of a Suspense boundary that completed', () => {
+    const {portals} = ReactDOMServer.renderToStringWithResources(
+      <React.Suspense fallback="Loading">
+        <div>{createPortal('Modal', 'modal')}</div>
+      </React.Suspense>,
+    );
+    expect(portals).toEqual({modal: 'Modal'});
+  });
+
+  it('drops the portals of a Suspense boundary that fell back', () => {
+    function Suspends() {
+      throw new Promise(() => {});
+    }
+    const {html, portals} = ReactDOMServer.renderToStringWithResources(
+      <div>
+        {createPortal('Toast', 'toasts')}
+        <React.Suspense fallback="Loading">
+          {createPortal('Secret modal', 'modal')}
+          {createPortal('Second toast', 'toasts')}
+          <Suspends />
+        </React.Suspense>
+      </div>,
+    );
+    expect(html).toBe(
+      '<div data-reactroot=""><!--p:toasts--><!--$!-->Loading<!--/$--></div>',
+    );
+    expect(portals).toEqual({toasts: 'Toast'});
+  });
+
+  it('drops the portals of content that an error boundary replaced', () => {
+    class ErrorBoundary extends React.Component {
+      state = {error: null};
+      static getDerivedStateFromError(error) {
+        return {error};
+      }
+      render() {
+        return this.state.error !== null ? 'Failed' : this.props.children;
+      }
+    }
+    function Throws() {
+      throw new Error('Oops');
+    }
+    const {html, portals} = ReactDOMServer.renderToStringWithResources(
+      <div>
+        <ErrorBoundary>
+          <section>
+            {createPortal('Modal', 'modal')}
+            <Throws />
+          </section>
+        </ErrorBoundary>
+      </div>,
+    );
+    expect(html).toBe('<div data-reactroot="">Failed</div>');
+    expect(portals).toEqual({});
+  });
+
+  it('requires a container ID', () => {
+    expect(() =>
+      ReactDOMServer.renderToStringWithResources(
+        <div>{createPortal('Modal', 'not a valid id')}</div>,
+      ),
+    ).toThrow('Portals rendered on the server need a container ID');
+  });
+
+  it('exposes the portal markup of a Node stream once it has ended', async () => {
+    const stream = ReactDOMServer.renderToNodeStream(<App />);
+    let html = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      html += chunk;
+    });
+    await new Promise((resolve, reject) => {
+      stream.on('end', resolve);
+      stream.on('error', reject);
+    });
+    expect(html).toBe(ReactDOMServer.renderToString(<App />));
+    expect(stream.getPortalMarkup('modal-root')).toBe(
+      '<div class="modal">Modal</div>',
+    );
+    expect(stream.getPortalMarkup('tooltip-root')).toBe('Tooltip');
+    expect(stream.getPortalMarkup('unknown-root')).toBe('');
+  });
+
+  it('exposes the portal markup of a ReadableStream once it has closed', async () => {
+    const stream = ReactDOMServerBrowser.renderToReadableStream(<App />);
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let html = '';
+    while (true) {
+      const {done, value} = await reader.read();
+      if (done) {
+        break;
+      }
+      html += decoder.decode(value, {stream: true});
+    }
+    expect(html).toBe(ReactDOMServer.renderToString(<App />));
+    expect(stream.getPortalMarkup('modal-root')).toBe(
+      '<div class="modal">Modal</div>',
+    );
+    expect(stream.getPortalMarkup('tooltip-root')).toBe('Tooltip');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerProfiler', () => {
+  let App;
+
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+
+    function Item({label}) {
+      return <li>{label}</li>;
+    }
+
+    class List extends React.Component {
+      render() {
+        return (
+          <ul>
+            {this.props.items.map(label => (
+              <Item key={label} label={label} />
+            ))}
+          </ul>
+        );
+      }
+    }
+
+    const Title = React.forwardRef(function Title(props, ref) {
+      return <h1 ref={ref}>{props.children}</h1>;
+    });
+
+    App = function App() {
+      return (
+        <main>
+          <Title>Groceries</Title>
+          <List items={['Milk', 'Eggs', 'Bread']} />
+        </main>
+      );
+    };
+  });
+
+  function profile(element) {
+    let result = null;
+    const markup = ReactDOMServer.renderToStaticMarkup(element, {
+      onProfile(profileResult) {
+        result = profileResult;
+      },
+    });
+    return {markup, profile: result};
+  }
+
+  it('attributes renders and bytes to component types as a tree', () => {
+    const {markup, profile: result} = profile(<App />);
+    const {tree} = result;
+    expect(tree.name).toBe('Root');
+    expect(tree.bytes).toBe(markup.length);
+
+    expect(tree.children.length).toBe(1);
+    const app = tree.children[0];
+    expect(app.name).toBe('App');
+    expect(app.renders).toBe(1);
+    expect(app.bytes).toBe(markup.length);
+    expect(app.children.map(child => child.name)).toEqual([
+      'ForwardRef(Title)',
+      'List',
+    ]);
+
+    const [title, list] = app.children;
+    expect(title.bytes).toBe('<h1>Groceries</h1>'.length);
+    expect(list.children.length).toBe(1);
+    const item = list.children[0];
+    expect(item.name).toBe('Item');
+    expect(item.renders).toBe(3);
+    expect(item.bytes).toBe('<li>Milk</li><li>Eggs</li><li>Bread</li>'.length);
+    expect(list.bytes).toBe(item.bytes + '<ul></ul>'.length);
+
+    expect(app.duration).toBeGreaterThanOrEqual(list.duration);
+    expect(list.duration).toBeGreaterThanOrEqual(list.selfDuration);
+  });
+
+  it('emits nested complete events in the Chrome trace-event format', () => {
+    const {profile: result} = profile(<App />);
+    const {traceEvents} = result.trace;
+    // Root, App, Title, List and three Items.
+    expect(traceEvents.length).toBe(7);
+    expect(traceEvents.map(event => event.name).slice(0, 2)).toEqual([
+      'Root',
+      'App',
+    ]);
+    const events = {};
+    traceEvents.forEach(event => {
+      expect(event.ph).toBe('X');
+      events[event.name] = event;
+    });
+    const app = events.App;
+    const item = events.Item;
+    expect(item.ts).toBeGreaterThanOrEqual(app.ts);
+    expect(item.ts + item.dur).toBeLessThanOrEqual(app.ts + app.dur);
+    expect(JSON.parse(JSON.stringify(result.trace))).toEqual(result.trace);
+  });
+
+  it('renders the same markup when profiling', () => {
+    expect(profile(<App />).markup).toBe(
+      ReactDOMServer.renderToStaticMarkup(<App />),
+    );
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerProperties', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  function render(element) {
+    return ReactDOMServer.renderToStaticMarkup(element);
+  }
+
+  it('renders boolean attributes only when true', () => {
+    expect(
+      render(<input defaultChecked={true} disabled={true} readOnly={true} />),
+    ).toBe('<input disabled="" readonly="" checked=""/>');
+    expect(render(<input defaultChecked={false} disabled={false} />)).toBe(
+      '<input/>',
+    );
+    expect(render(<div hidden={true} />)).toBe('<div hidden=""></div>');
+    expect(render(<div hidden={false} />)).toBe('<div></div>');
+  });
+
+  it('renders props whose attribute names differ', () => {
+    expect(
+      render(
+        <label className="field" htmlFor="name" acceptCharset="utf-8">
+          Name
+        </label>,
+      ),
+    ).toBe('<label class="field" for="name" accept-charset="utf-8">Name</label>');
+  });
+
+  it('stringifies booleanish attributes', () => {
+    expect(
+      render(
+        <div
+          draggable={true}
+          spellCheck={false}
+          contentEditable={true}
+          aria-hidden={true}
+        />,
+      ),
+    ).toBe(
+      '<div draggable="true" spellcheck="false" contenteditable="true" ' +
+        'aria-hidden="true"></div>',
+    );
+  });
+
+  it('stringifies booleans passed as a value', () => {
+    expect(render(<input value={true} readOnly={true} />)).toBe(
+      '<input value="true" readonly=""/>',
+    );
+    expect(render(<data value={false}>Off</data>)).toBe(
+      '<data value="false">Off</data>',
+    );
+  });
+
+  it('renders overloaded booleans as flags or values', () => {
+    expect(render(<a download={true} />)).toBe('<a download=""></a>');
+    expect(render(<a download="file.txt" />)).toBe(
+      '<a download="file.txt"></a>',
+    );
+    expect(render(<a download={false} />)).toBe('<a></a>');
+  });
+
+  it('drops invalid numeric attributes', () => {
+    expect(render(<textarea rows={0} cols={20} />)).toBe(
+      '<textarea cols="20"></textarea>',
+    );
+    expect(render(<td rowSpan="x" />)).toBe('<td></td>');
+    expect(render(<ol start={0} />)).toBe('<ol start="0"></ol>');
+  });
+
+  it('never writes reserved props', () => {
+    expect(
+      render(
+        <div
+          suppressContentEditableWarning={true}
+          suppressHydrationWarning={true}
+          dangerouslySetInnerHTML={{__html: '<b>hi</b>'}}
+        />,
+      ),
+    ).toBe('<div><b>hi</b></div>');
+  });
+
+  it('writes URL attributes', () => {
+    expect(
+      render(
+        <form action="/submit">
+          <a href="/home" />
+          <img src="/logo.png" />
+          <button formAction="/other" />
+        </form>,
+      ),
+    ).toBe(
+      '<form action="/submit"><a href="/home"></a><img src="/logo.png"/>' +
+        '<button formaction="/other"></button></form>',
+    );
+  });
+});
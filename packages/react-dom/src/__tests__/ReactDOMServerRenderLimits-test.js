@@ -0,0 +1,141 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerRenderLimits', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  function renderAndCatch(element, options) {
+    try {
+      ReactDOMServer.renderToString(element, options);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the render to be aborted.');
+  }
+
+  it('stops a component that renders itself forever', () => {
+    function Loop() {
+      return <Loop />;
+    }
+    const error = renderAndCatch(<Loop />, {maxElements: 100});
+    expect(error instanceof ReactDOMServer.RenderLimitError).toBe(true);
+    expect(error.limit).toBe('elements');
+    expect(error.message).toContain(
+      'Rendering was aborted because it rendered more than 100 elements.',
+    );
+  });
+
+  it('stops a tree that is nested too deeply', () => {
+    function Nested() {
+      return (
+        <section>
+          <Nested />
+        </section>
+      );
+    }
+    const error = renderAndCatch(<Nested />, {maxDepth: 20});
+    expect(error.limit).toBe('depth');
+    expect(error.message).toContain(
+      'Rendering was aborted because the tree was nested more than 20 ' +
+        'levels deep.',
+    );
+    expect(error.componentStack).toContain('section');
+  });
+
+  it('stops a render that produces too much markup', () => {
+    const items = [];
+    for (let i = 0; i < 100; i++) {
+      items.push(<li key={i}>Item {i}</li>);
+    }
+    const error = renderAndCatch(<ul>{items}</ul>, {maxBytes: 500});
+    expect(error.limit).toBe('bytes');
+  });
+
+  it('stops a render that takes too long', () => {
+    function Slow({children}) {
+      const start = Date.now();
+      while (Date.now() - start < 5) {}
+      return children;
+    }
+    const error = renderAndCatch(
+      <Slow>
+        <Slow>
+          <Slow />
+        </Slow>
+      </Slow>,
+      {timeLimit: 1},
+    );
+    expect(error.limit).toBe('time');
+  });
+
+  it('does not count the time spent waiting on data', async () => {
+    let resolved = false;
+    const promise = new Promise(resolve => {
+      setTimeout(() => {
+        resolved = true;
+        resolve();
+      }, 50);
+    });
+    function Data() {
+      if (!resolved) {
+        throw promise;
+      }
+      return 'Done';
+    }
+    const markup = await ReactDOMServer.renderToStaticMarkupAsync(
+      <React.Suspense fallback="Loading...">
+        <Data />
+      </React.Suspense>,
+      {timeLimit: 20},
+    );
+    expect(markup).toBe('<!--$-->Done<!--/$-->');
+  });
+
+  it('is not caught by error boundaries', () => {
+    class Boundary extends React.Component {
+      state = {error: null};
+      static getDerivedStateFromError(error) {
+        return {error};
+      }
+      render() {
+        return this.state.error ? 'Caught' : this.props.children;
+      }
+    }
+    function Loop() {
+      return <Loop />;
+    }
+    const error = renderAndCatch(
+      <Boundary>
+        <Loop />
+      </Boundary>,
+      {maxElements: 50},
+    );
+    expect(error.limit).toBe('elements');
+  });
+
+  it('renders normally within the limits', () => {
+    expect(
+      ReactDOMServer.renderToStaticMarkup(<div>Hello</div>, {
+        maxElements: 10,
+        maxBytes: 100,
+        maxDepth: 10,
+        timeLimit: 10000,
+      }),
+    ).toBe('<div>Hello</div>');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+let ReactThreadIDAllocator;
+
+describe('ReactDOMServerRenderToString', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+    ReactThreadIDAllocator = require('react-dom/src/server/ReactThreadIDAllocator');
+  });
+
+  it('renders markup with and without React attributes', () => {
+    const element = (
+      <div className="greeting">
+        Hello, {'world'}
+      </div>
+    );
+    expect(ReactDOMServer.renderToString(element)).toBe(
+      '<div class="greeting" data-reactroot="">Hello, <!-- -->world</div>',
+    );
+    expect(ReactDOMServer.renderToStaticMarkup(element)).toBe(
+      '<div class="greeting">Hello, world</div>',
+    );
+  });
+
+  it('keeps working after a component throws', () => {
+    const Theme = React.createContext('light');
+    function Throws() {
+      throw new Error('Oops');
+    }
+    function Label() {
+      return React.useContext(Theme);
+    }
+
+    for (let i = 0; i < 20; i++) {
+      expect(() =>
+        ReactDOMServer.renderToString(
+          <Theme.Provider value="dark">
+            <Throws />
+          </Theme.Provider>,
+        ),
+      ).toThrow('Oops');
+    }
+
+    // The provider that was open when the render threw was popped.
+    expect(ReactDOMServer.renderToStaticMarkup(<Label />)).toBe('light');
+
+    // Every render gave its thread ID back. IDs are handed out last freed
+    // first, so we get the first one again.
+    const threadID = ReactThreadIDAllocator.allocThreadID();
+    ReactThreadIDAllocator.freeThreadID(threadID);
+    expect(threadID).toBe(1);
+  });
+});
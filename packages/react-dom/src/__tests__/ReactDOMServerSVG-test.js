@@ -0,0 +1,120 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerSVG', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  function Icon({children, ...props}) {
+    return (
+      <svg
+        xmlns="http://www.w3.org/2000/svg"
+        width={24}
+        height={24}
+        viewBox="0 0 24 24"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={2}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        {...props}>
+        {children}
+      </svg>
+    );
+  }
+
+  it('renders an outline icon set with dashed attribute names', () => {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+      <div>
+        <Icon>
+          <polyline points="20 6 9 17 4 12" />
+        </Icon>
+        <Icon strokeDasharray="4 2" strokeOpacity={0.5}>
+          <circle cx={12} cy={12} r={10} />
+        </Icon>
+      </div>,
+    );
+    expect(markup).toBe(
+      '<div>' +
+        '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" ' +
+        'viewBox="0 0 24 24" fill="none" stroke="currentColor" ' +
+        'stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
+        '<polyline points="20 6 9 17 4 12"></polyline>' +
+        '</svg>' +
+        '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" ' +
+        'viewBox="0 0 24 24" fill="none" stroke="currentColor" ' +
+        'stroke-width="2" stroke-linecap="round" stroke-linejoin="round" ' +
+        'stroke-dasharray="4 2" stroke-opacity="0.5">' +
+        '<circle cx="12" cy="12" r="10"></circle>' +
+        '</svg>' +
+        '</div>',
+    );
+  });
+
+  it('renders a sprite-based icon set with xlink attributes', () => {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+      <svg xmlnsXlink="http://www.w3.org/1999/xlink" style={{display: 'none'}}>
+        <symbol id="icon-star" viewBox="0 0 16 16">
+          <path fillRule="evenodd" clipRule="evenodd" d="M8 0l2 6h6l-5 4z" />
+        </symbol>
+        <use xlinkHref="#icon-star" xlinkTitle="Star" />
+      </svg>,
+    );
+    expect(markup).toBe(
+      '<svg xmlns:xlink="http://www.w3.org/1999/xlink" style="display:none">' +
+        '<symbol id="icon-star" viewBox="0 0 16 16">' +
+        '<path fill-rule="evenodd" clip-rule="evenodd" d="M8 0l2 6h6l-5 4z"></path>' +
+        '</symbol>' +
+        '<use xlink:href="#icon-star" xlink:title="Star"></use>' +
+        '</svg>',
+    );
+  });
+
+  it('renders text and booleanish attributes in icons', () => {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+      <svg focusable={false} tabIndex={-1} preserveAspectRatio="xMidYMid">
+        <text xmlLang="en" xmlSpace="preserve" textAnchor="middle" fontFamily="serif">
+          A
+        </text>
+      </svg>,
+    );
+    expect(markup).toBe(
+      '<svg focusable="false" tabindex="-1" preserveAspectRatio="xMidYMid">' +
+        '<text xml:lang="en" xml:space="preserve" text-anchor="middle" font-family="serif">' +
+        'A' +
+        '</text>' +
+        '</svg>',
+    );
+  });
+
+  it('renders MathML attributes in lowercase', () => {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+      <math display="block">
+        <mstyle displayStyle="true" mathColor="red">
+          <mi mathVariant="bold">x</mi>
+        </mstyle>
+      </math>,
+    );
+    expect(markup).toBe(
+      '<math display="block">' +
+        '<mstyle displaystyle="true" mathcolor="red">' +
+        '<mi mathvariant="bold">x</mi>' +
+        '</mstyle>' +
+        '</math>',
+    );
+  });
+});
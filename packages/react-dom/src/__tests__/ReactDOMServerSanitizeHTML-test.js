@@ -0,0 +1,100 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerSanitizeHTML', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  function renderRichText(html) {
+    return ReactDOMServer.renderToStaticMarkup(
+      <article dangerouslySetInnerHTML={{__html: html}} />,
+      {sanitizeHTML: ReactDOMServer.sanitizeHTML},
+    );
+  }
+
+  it('calls the hook with the tag and props', () => {
+    const calls = [];
+    const markup = ReactDOMServer.renderToStaticMarkup(
+      <section id="post" dangerouslySetInnerHTML={{__html: '<b>hi</b>'}} />,
+      {
+        sanitizeHTML(html, {tag, props}) {
+          calls.push([html, tag, props.id]);
+          return html.toUpperCase();
+        },
+      },
+    );
+    expect(markup).toBe('<section id="post"><B>HI</B></section>');
+    expect(calls).toEqual([['<b>hi</b>', 'section', 'post']]);
+  });
+
+  it('keeps allowed formatting', () => {
+    expect(
+      renderRichText(
+        '<p>Hello <b>bold</b> <a href="https://example.com" title="x">link</a></p>',
+      ),
+    ).toBe(
+      '<article><p>Hello <b>bold</b> ' +
+        '<a href="https://example.com" title="x">link</a></p></article>',
+    );
+  });
+
+  it('drops scripts, handlers and unsafe URLs', () => {
+    expect(
+      renderRichText(
+        '<script>alert(1)</script>' +
+          '<img src=x onerror=alert(1)>' +
+          '<a href="java&#x09;script&#58;alert(1)" onclick="steal()">x</a>',
+      ),
+    ).toBe('<article><a>x</a></article>');
+  });
+
+  it('cannot break out of the container', () => {
+    expect(renderRichText('</article><p>open <em>nested')).toBe(
+      '<article><p>open <em>nested</em></p></article>',
+    );
+    expect(renderRichText('1 < 2 <!-- comment -->')).toBe(
+      '<article>1 &lt; 2 </article>',
+    );
+  });
+
+  it('leaves the content of <script> and <style> alone', () => {
+    const script = 'if (a<b) { label = "<i>"; }';
+    const style = 'a > b { content: "<b>"; }';
+    const sanitizeHTML = jest.fn(ReactDOMServer.sanitizeHTML);
+    expect(
+      ReactDOMServer.renderToStaticMarkup(
+        <>
+          <script dangerouslySetInnerHTML={{__html: script}} />
+          <style dangerouslySetInnerHTML={{__html: style}} />
+        </>,
+        {sanitizeHTML},
+      ),
+    ).toBe(
+      '<script>' + script + '</script><style>' + style + '</style>',
+    );
+    expect(sanitizeHTML).not.toHaveBeenCalled();
+  });
+
+  it('refuses to sanitize script or CSS', () => {
+    expect(() =>
+      ReactDOMServer.sanitizeHTML('alert(1)', {tag: 'script', props: {}}),
+    ).toThrow('sanitizeHTML only sanitizes HTML, not the content of <script>.');
+    expect(() =>
+      ReactDOMServer.sanitizeHTML('b {}', {tag: 'style', props: {}}),
+    ).toThrow('sanitizeHTML only sanitizes HTML, not the content of <style>.');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerStrictCSP', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  it('replaces style props with generated class names', () => {
+    const {html, styleSheet} = ReactDOMServer.renderToStringWithResources(
+      <div style={{color: 'red'}}>
+        <span className="label" style={{fontSize: 12, color: 'red'}} />
+        <span style={{color: 'red'}} />
+      </div>,
+      {strictCSP: true},
+    );
+    expect(html).toBe(
+      '<div class="rs0" data-reactroot="">' +
+        '<span class="label rs1"></span>' +
+        '<span class="rs0"></span>' +
+        '</div>',
+    );
+    expect(styleSheet).toBe('.rs0{color:red}.rs1{font-size:12px;color:red}');
+  });
+
+  it('uses the identifier prefix and escapes the rules', () => {
+    const {styleSheet} = ReactDOMServer.renderToStringWithResources(
+      <div style={{fontFamily: 'a}</style><script>'}} />,
+      {strictCSP: true, identifierPrefix: 'app-'},
+    );
+    expect(styleSheet).toBe(
+      '.app-rs0{font-family:a\\7d \\3c /style\\3e \\3c script\\3e }',
+    );
+  });
+
+  it('keeps style attributes when not in strict mode', () => {
+    const {html, styleSheet} = ReactDOMServer.renderToStringWithResources(
+      <div style={{color: 'red'}} />,
+    );
+    expect(html).toBe('<div style="color:red" data-reactroot=""></div>');
+    expect(styleSheet).toBe('');
+  });
+
+  it('drops inline event handlers on custom elements', () => {
+    let html;
+    expect(() => {
+      ({html} = ReactDOMServer.renderToStringWithResources(
+        <my-widget onclick="alert(1)" style={{display: 'block'}} />,
+        {strictCSP: true},
+      ));
+    }).toErrorDev(
+      'Dropped the inline event handler `onclick` on <my-widget> because ' +
+        'the renderer is in strict CSP mode.',
+    );
+    expect(html).toBe('<my-widget class="rs0" data-reactroot=""></my-widget>');
+  });
+
+  it('only warns once about each dropped event handler', () => {
+    function render() {
+      return ReactDOMServer.renderToStaticMarkup(
+        <>
+          <my-widget onclick="alert(1)" />
+          <my-widget onclick="alert(2)" />
+        </>,
+        {strictCSP: true},
+      );
+    }
+    let html;
+    expect(() => {
+      render();
+      html = render();
+    }).toErrorDev('Dropped the inline event handler `onclick` on <my-widget>');
+    expect(html).toBe('<my-widget></my-widget><my-widget></my-widget>');
+  });
+
+  it('only warns once about streaming out of order without a nonce', () => {
+    const options = {strictCSP: true, outOfOrderStreaming: true};
+    expect(() => {
+      ReactDOMServer.renderToString(<div />, options);
+      ReactDOMServer.renderToString(<div />, options);
+    }).toErrorDev(
+      'Out-of-order streaming emits inline scripts, which a strict ' +
+        'Content-Security-Policy will block unless you also pass a `nonce`.',
+    );
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerTimeSlicing', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  it('interleaves renders with different Provider values', async () => {
+    const Theme = React.createContext('default');
+    const log = [];
+
+    function Item({index}) {
+      const theme = React.useContext(Theme);
+      log.push(theme);
+      return <li>{theme + index}</li>;
+    }
+
+    function List() {
+      const items = [];
+      for (let i = 0; i < 10; i++) {
+        items.push(<Item key={i} index={i} />);
+      }
+      return <ul>{items}</ul>;
+    }
+
+    function renderWithTheme(theme) {
+      return ReactDOMServer.renderToStaticMarkupAsync(
+        <Theme.Provider value={theme}>
+          <List />
+        </Theme.Provider>,
+        // Yield after every child.
+        {timeSlice: 0},
+      );
+    }
+
+    const [light, dark] = await Promise.all([
+      renderWithTheme('light'),
+      renderWithTheme('dark'),
+    ]);
+
+    let expectedLight = '<ul>';
+    let expectedDark = '<ul>';
+    for (let i = 0; i < 10; i++) {
+      expectedLight += '<li>light' + i + '</li>';
+      expectedDark += '<li>dark' + i + '</li>';
+    }
+    expect(light).toBe(expectedLight + '</ul>');
+    expect(dark).toBe(expectedDark + '</ul>');
+
+    // The two renders took turns instead of running one after the other.
+    expect(log.indexOf('dark')).toBeLessThan(log.lastIndexOf('light'));
+  });
+
+  it('yields to the event loop between slices', async () => {
+    const schedule =
+      typeof setImmediate === 'function'
+        ? setImmediate
+        : callback => setTimeout(callback, 0);
+    let otherTaskRan = false;
+    let otherTaskRanBeforeLastItem = false;
+    function Item({index}) {
+      if (index === 0) {
+        schedule(() => {
+          otherTaskRan = true;
+        });
+      } else if (index === 9) {
+        otherTaskRanBeforeLastItem = otherTaskRan;
+      }
+      return <li>{index}</li>;
+    }
+    const items = [];
+    for (let i = 0; i < 10; i++) {
+      items.push(<Item key={i} index={i} />);
+    }
+
+    const markup = await ReactDOMServer.renderToStaticMarkupAsync(
+      <ul>{items}</ul>,
+      {timeSlice: 0},
+    );
+    expect(markup.startsWith('<ul><li>0</li><li>1</li>')).toBe(true);
+    expect(otherTaskRanBeforeLastItem).toBe(true);
+  });
+});
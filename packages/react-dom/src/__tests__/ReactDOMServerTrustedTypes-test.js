@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+// Stand in for the objects a Trusted Types policy creates.
+class FakeTrustedValue {
+  constructor(value) {
+    this.value = value;
+  }
+  toString() {
+    return this.value;
+  }
+}
+class FakeTrustedHTML extends FakeTrustedValue {}
+class FakeTrustedScriptURL extends FakeTrustedValue {}
+
+function trustedHTML(value) {
+  return new FakeTrustedHTML(value);
+}
+
+function trustedScriptURL(value) {
+  return new FakeTrustedScriptURL(value);
+}
+
+describe('ReactDOMServerTrustedTypes', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+    global.trustedTypes = {
+      isHTML: value => value instanceof FakeTrustedHTML,
+      isScriptURL: value => value instanceof FakeTrustedScriptURL,
+    };
+  });
+
+  afterEach(() => {
+    delete global.trustedTypes;
+  });
+
+  it('accepts trusted values in dangerouslySetInnerHTML', () => {
+    expect(
+      ReactDOMServer.renderToStaticMarkup(
+        <div dangerouslySetInnerHTML={{__html: trustedHTML('<b>bold</b>')}} />,
+      ),
+    ).toBe('<div><b>bold</b></div>');
+    expect(
+      ReactDOMServer.renderToStaticMarkup(
+        <pre dangerouslySetInnerHTML={{__html: trustedHTML('\ntext')}} />,
+      ),
+    ).toBe('<pre>\n\ntext</pre>');
+  });
+
+  it('accepts trusted values in URL attributes', () => {
+    expect(
+      ReactDOMServer.renderToStaticMarkup(
+        <script src={trustedScriptURL('/app.js')} />,
+        {requireTrustedTypes: true},
+      ),
+    ).toBe('<script src="/app.js"></script>');
+  });
+
+  it('rejects raw strings in dangerouslySetInnerHTML when required', () => {
+    function Comment({body}) {
+      return <div dangerouslySetInnerHTML={{__html: body}} />;
+    }
+    expect(() =>
+      ReactDOMServer.renderToStaticMarkup(<Comment body="<b>hi</b>" />, {
+        requireTrustedTypes: true,
+      }),
+    ).toThrow(
+      (__DEV__ ? 'Comment' : 'A component') +
+        ' passed a string as `dangerouslySetInnerHTML.__html` to <div>, but ' +
+        'Trusted Types are required. Pass a TrustedHTML object instead.',
+    );
+    expect(
+      ReactDOMServer.renderToStaticMarkup(<Comment body={trustedHTML('<b>hi</b>')} />, {
+        requireTrustedTypes: true,
+      }),
+    ).toBe('<div><b>hi</b></div>');
+  });
+
+  it('rejects raw strings in URL attributes when required', () => {
+    function Avatar() {
+      return <img src="/avatar.png" />;
+    }
+    expect(() =>
+      ReactDOMServer.renderToStaticMarkup(<Avatar />, {
+        requireTrustedTypes: true,
+      }),
+    ).toThrow(
+      (__DEV__ ? 'Avatar' : 'A component') +
+        ' passed a string as `src` to <img>, but Trusted Types are required. ' +
+        'Pass a TrustedScriptURL object instead.',
+    );
+  });
+
+  it('does not trust other objects that stringify themselves', () => {
+    expect(() =>
+      ReactDOMServer.renderToStaticMarkup(
+        <script src={new URL('https://example.com/app.js')} />,
+        {requireTrustedTypes: true},
+      ),
+    ).toThrow(
+      'passed a object as `src` to <script>, but Trusted Types are required.',
+    );
+    expect(() =>
+      ReactDOMServer.renderToStaticMarkup(
+        <div dangerouslySetInnerHTML={{__html: trustedScriptURL('<b>hi</b>')}} />,
+        {requireTrustedTypes: true},
+      ),
+    ).toThrow('Pass a TrustedHTML object instead.');
+  });
+
+  it('does not trust anything without a Trusted Types implementation', () => {
+    delete global.trustedTypes;
+    expect(() =>
+      ReactDOMServer.renderToStaticMarkup(
+        <div dangerouslySetInnerHTML={{__html: trustedHTML('<b>hi</b>')}} />,
+        {requireTrustedTypes: true},
+      ),
+    ).toThrow('Pass a TrustedHTML object instead.');
+  });
+});
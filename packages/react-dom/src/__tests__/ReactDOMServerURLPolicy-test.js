@@ -0,0 +1,112 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerURLPolicy', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  function render(element, urlPolicy) {
+    const errors = [];
+    const html = ReactDOMServer.renderToStaticMarkup(element, {
+      urlPolicy,
+      onError: error => errors.push(error.message),
+    });
+    return {html, errors};
+  }
+
+  it('blocks schemes that are not allowed and reports them', () => {
+    const {html, errors} = render(
+      <div>
+        {/* eslint-disable-next-line no-script-url */}
+        <a href="javascript:alert(1)">bad</a>
+        <a href={' JaVa\tscript:alert(1)'}>also bad</a>
+        <a href="https://example.com">good</a>
+        <a href="/relative">relative</a>
+      </div>,
+      {},
+    );
+    expect(html).toBe(
+      '<div><a>bad</a><a>also bad</a>' +
+        '<a href="https://example.com">good</a>' +
+        '<a href="/relative">relative</a></div>',
+    );
+    expect(errors.length).toBe(2);
+    expect(errors[0]).toBe(
+      'Blocked the URL "javascript:alert(1)" in the `href` attribute of <a> ' +
+        'because the javascript: scheme is not allowed by the URL policy.',
+    );
+    expect(errors[1]).toContain('the javascript: scheme is not allowed');
+  });
+
+  it('allows data: URLs only where configured', () => {
+    const dataURL = 'data:image/png;base64,AAAA';
+    let result = render(
+      <div>
+        <img src={dataURL} />
+        <a href={dataURL}>download</a>
+      </div>,
+      {},
+    );
+    expect(result.html).toBe(
+      '<div><img src="' + dataURL + '"/><a>download</a></div>',
+    );
+    expect(result.errors.length).toBe(1);
+
+    result = render(<img src={dataURL} />, {dataURLAttributes: {}});
+    expect(result.html).toBe('<img/>');
+  });
+
+  it('uses the configured scheme allow-list', () => {
+    const {html, errors} = render(
+      <form action="http://example.com">
+        <button formAction="https://example.com" />
+      </form>,
+      {allowedSchemes: ['https']},
+    );
+    expect(html).toBe(
+      '<form><button formaction="https://example.com"></button></form>',
+    );
+    expect(errors.length).toBe(1);
+  });
+
+  it('lets a callback rewrite or reject URLs', () => {
+    const {html, errors} = render(
+      <div>
+        <a href="https://example.com">out</a>
+        <a href="https://tracker.example">tracker</a>
+      </div>,
+      {
+        transformURL(url, tagName, attributeName) {
+          expect(tagName).toBe('a');
+          expect(attributeName).toBe('href');
+          if (url.indexOf('tracker') !== -1) {
+            return null;
+          }
+          return '/out?to=' + encodeURIComponent(url);
+        },
+      },
+    );
+    expect(html).toBe(
+      '<div><a href="/out?to=https%3A%2F%2Fexample.com">out</a>' +
+        '<a>tracker</a></div>',
+    );
+    expect(errors).toEqual([
+      'Blocked the URL "https://tracker.example" in the `href` attribute of ' +
+        '<a> because the URL policy rejected it.',
+    ]);
+  });
+});
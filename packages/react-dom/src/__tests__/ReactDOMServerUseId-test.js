@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerUseId', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server');
+  });
+
+  function Field({label}) {
+    const id = React.useId();
+    return (
+      <div>
+        <label htmlFor={id}>{label}</label>
+        <input id={id} />
+      </div>
+    );
+  }
+
+  function Form() {
+    return (
+      <form>
+        <Field label="Name" />
+        <Field label="Email" />
+      </form>
+    );
+  }
+
+  function getIDs(markup) {
+    const ids = [];
+    markup.replace(/ id="([^"]*)"/g, (match, id) => {
+      ids.push(id);
+      return match;
+    });
+    return ids;
+  }
+
+  it('gives every component its own ID', () => {
+    const ids = getIDs(ReactDOMServer.renderToStaticMarkup(<Form />));
+    expect(ids).toEqual(['R:0', 'R:1']);
+  });
+
+  it('keeps the ID across render phase updates', () => {
+    const ids = [];
+    function Component() {
+      const id = React.useId();
+      const [renders, setRenders] = React.useState(0);
+      ids.push(id);
+      if (renders < 2) {
+        setRenders(renders + 1);
+      }
+      return <span id={id} />;
+    }
+    expect(ReactDOMServer.renderToStaticMarkup(<Component />)).toBe(
+      '<span id="R:0"></span>',
+    );
+    expect(ids).toEqual(['R:0', 'R:0', 'R:0']);
+  });
+
+  it('produces the same IDs every time the same tree renders', () => {
+    expect(ReactDOMServer.renderToString(<Form />)).toBe(
+      ReactDOMServer.renderToString(<Form />),
+    );
+  });
+
+  it('prefixes the IDs with the identifierPrefix', () => {
+    const first = getIDs(
+      ReactDOMServer.renderToStaticMarkup(<Form />, {identifierPrefix: 'a-'}),
+    );
+    const second = getIDs(
+      ReactDOMServer.renderToStaticMarkup(<Form />, {identifierPrefix: 'b-'}),
+    );
+    expect(first).toEqual(['a-R:0', 'a-R:1']);
+    expect(second).toEqual(['b-R:0', 'b-R:1']);
+  });
+
+  it('gives the same IDs whether or not a boundary had to wait', async () => {
+    let resolved = false;
+    let resolve;
+    const promise = new Promise(r => {
+      resolve = () => {
+        resolved = true;
+        r();
+      };
+    });
+    // Takes an ID before it suspends, so a retry would take another one.
+    function Profile() {
+      const id = React.useId();
+      if (!resolved) {
+        throw promise;
+      }
+      return <span id={id}>Profile</span>;
+    }
+    const app = (
+      <div>
+        <Field label="Before" />
+        <React.Suspense fallback={<Field label="Loading" />}>
+          <Field label="Inside" />
+          <Profile />
+          <Field label="After profile" />
+        </React.Suspense>
+        <Field label="After" />
+      </div>
+    );
+
+    const fallbackIDs = getIDs(ReactDOMServer.renderToString(app));
+    expect(fallbackIDs).toEqual(['R:0', 'R:1f:0', 'R:2']);
+
+    const markup = ReactDOMServer.renderToStringAsync(app);
+    setTimeout(resolve, 10);
+    const asyncIDs = getIDs(await markup);
+    expect(asyncIDs).toEqual(['R:0', 'R:1:0', 'R:1:1', 'R:1:2', 'R:2']);
+
+    // These are the IDs the client comes up with when it hydrates.
+    expect(getIDs(ReactDOMServer.renderToString(app))).toEqual(asyncIDs);
+  });
+
+  it('is also exported under its experimental name', () => {
+    expect(React.unstable_useOpaqueIdentifier).toBe(React.useId);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+let React;
+let ReactDOMServer;
+
+describe('ReactDOMServerWebStreams', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    React = require('react');
+    ReactDOMServer = require('react-dom/server.browser');
+  });
+
+  async function readResult(stream) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let result = '';
+    while (true) {
+      const {done, value} = await reader.read();
+      if (done) {
+        return result;
+      }
+      result += decoder.decode(value, {stream: true});
+    }
+  }
+
+  it('should render to a ReadableStream', async () => {
+    const stream = ReactDOMServer.renderToReadableStream(
+      <div>
+        <span>hello</span> world
+      </div>,
+    );
+    const result = await readResult(stream);
+    expect(result).toBe(
+      '<div data-reactroot=""><span>hello</span> world</div>',
+    );
+  });
+
+  it('should emit the same markup as renderToString', async () => {
+    const items = [];
+    for (let i = 0; i < 1000; i++) {
+      items.push(<li key={i}>Item {i}</li>);
+    }
+    const element = <ul>{items}</ul>;
+    const result = await readResult(
+      ReactDOMServer.renderToReadableStream(element),
+    );
+    expect(result).toBe(ReactDOMServer.renderToString(element));
+  });
+
+  it('should error the stream when rendering throws', async () => {
+    function Throws() {
+      throw new Error('Oops');
+    }
+    const stream = ReactDOMServer.renderToReadableStream(
+      <div>
+        <Throws />
+      </div>,
+    );
+    await expect(readResult(stream)).rejects.toThrow('Oops');
+  });
+
+  it('should error the stream when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const stream = ReactDOMServer.renderToReadableStream(<div>hello</div>, {
+      signal: controller.signal,
+    });
+    const reason = new Error('Client went away');
+    controller.abort(reason);
+    await expect(readResult(stream)).rejects.toBe(reason);
+  });
+
+  it('should not render anything for an already aborted signal', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Client went away');
+    controller.abort(reason);
+    const render = jest.fn(() => <span />);
+    function App() {
+      return render();
+    }
+    const stream = ReactDOMServer.renderToReadableStream(<App />, {
+      signal: controller.signal,
+    });
+    await expect(readResult(stream)).rejects.toBe(reason);
+    expect(render).not.toHaveBeenCalled();
+    expect(stream.getStyleSheet()).toBe('');
+    expect(stream.getHeadMarkup()).toBe('');
+    expect(stream.getPortalMarkup('modal')).toBe('');
+  });
+
+  it('should expose the style sheet and head markup once closed', async () => {
+    const element = (
+      <div style={{color: 'red'}}>
+        <title>Hello</title>
+        <link rel="stylesheet" href="/app.css" />
+        world
+      </div>
+    );
+    const options = {strictCSP: true, hoistHeadResources: true};
+    const stream = ReactDOMServer.renderToReadableStream(element, options);
+    const result = await readResult(stream);
+    const {html, styleSheet, head} = ReactDOMServer.renderToStringWithResources(
+      element,
+      options,
+    );
+    expect(result).toBe(html);
+    expect(styleSheet).toContain('color:red');
+    expect(stream.getStyleSheet()).toBe(styleSheet);
+    expect(head).toBe(
+      '<title>Hello</title><link rel="stylesheet" href="/app.css"/>',
+    );
+    expect(stream.getHeadMarkup()).toBe(head);
+  });
+
+  it('should forward identifierPrefix to the renderer', async () => {
+    function Field() {
+      const id = React.unstable_useOpaqueIdentifier();
+      return <input id={id} />;
+    }
+    const stream = ReactDOMServer.renderToReadableStream(<Field />, {
+      identifierPrefix: 'app',
+    });
+    expect(await readResult(stream)).toBe(
+      '<input id="appR:0" data-reactroot=""/>',
+    );
+  });
+});
@@ -0,0 +1,578 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type {ReactElement} from 'shared/ReactElementType';
+import type {BootstrapScript} from '../server/ReactDOMServerDocument';
+
+import ReactSharedInternals from 'shared/ReactSharedInternals';
+
+import ReactPartialRenderer from '../server/ReactPartialRenderer';
+import escapeTextForBrowser from '../server/escapeTextForBrowser';
+import {isBootstrapScriptElement} from '../server/ReactDOMServerDocument';
+import {ROOT_ATTRIBUTE_NAME} from '../shared/DOMProperty';
+
+export type HydrationOptions = {
+  // Must match the prefix the markup was rendered with, so that
+  // useOpaqueIdentifier produces the same IDs.
+  identifierPrefix?: string,
+  // Must match the server too, so that style props are expected as the same
+  // generated class names.
+  strictCSP?: boolean,
+  // Must match the server, so that <title>, <meta> and <link> elements are
+  // expected in the head and not where they're rendered.
+  hoistHeadResources?: boolean,
+  // The bootstrap options the server rendered with. Those scripts aren't part
+  // of the element tree, so they're skipped at the end of the <body>.
+  bootstrapScripts?: Array<BootstrapScript>,
+  bootstrapModules?: Array<BootstrapScript>,
+  bootstrapScriptContent?: string,
+  // Called for every mismatch instead of logging it.
+  onMismatch?: (mismatch: HydrationMismatch) => void,
+};
+
+export type HydrationMismatch = {|
+  type: 'text' | 'attribute' | 'extra' | 'missing',
+  message: string,
+  componentStack: string,
+  // The server rendered node the mismatch was found at, if there is one.
+  node: Node | null,
+|};
+
+type CursorFrame = {
+  parent: Node,
+  next: Node | null,
+  // For Suspense boundaries, the closing <!--/$--> comment. Otherwise null,
+  // meaning the end of `parent`.
+  end: Node | null,
+  // Set when the children can't be matched against the DOM, e.g. because
+  // the parent didn't match or the server content is dangerouslySetInnerHTML.
+  skip: boolean,
+  suppressHydrationWarning: boolean,
+  componentStack: string,
+};
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+const SUSPENSE_START_DATA = '$';
+const SUSPENSE_END_DATA = '/$';
+const SUSPENSE_PENDING_START_DATA = '$?';
+const SUSPENSE_FALLBACK_START_DATA = '$!';
+
+const randomKey = Math.random()
+  .toString(36)
+  .slice(2);
+const internalElementKey = '__reactElement$' + randomKey;
+
+// Matches the attributes of an open tag emitted by the partial renderer.
+// Values are always double quoted with quotes escaped.
+const ATTRIBUTE_MARKUP_REGEX = / ([^\s="]+)="([^"]*)"/g;
+
+// HTML parsing normalizes CR and CRLF to LF.
+// It also can turn \u0000 into \uFFFD inside attributes.
+// https://www.w3.org/TR/html5/single-page.html#preprocessing-the-input-stream
+// If we have a mismatch, it might be caused by that.
+// We will still patch up in this case but not fire the warning.
+const NORMALIZE_NEWLINES_REGEX = /\r\n?/g;
+const NORMALIZE_NULL_AND_REPLACEMENT_REGEX = /\u0000|\uFFFD/g;
+
+function normalizeMarkupForTextOrAttribute(markup: string): string {
+  return markup
+    .replace(NORMALIZE_NEWLINES_REGEX, '\n')
+    .replace(NORMALIZE_NULL_AND_REPLACEMENT_REGEX, '');
+}
+
+function getCurrentComponentStack(): string {
+  if (__DEV__) {
+    const stack = ReactSharedInternals.ReactDebugCurrentFrame.getStackAddendum();
+    return stack === null ? '' : stack;
+  }
+  return '';
+}
+
+function format(message: string, args: Array<string>): string {
+  let argIndex = 0;
+  return message.replace(/%s/g, () => args[argIndex++]);
+}
+
+function isSuspenseStart(data: string): boolean {
+  return (
+    data === SUSPENSE_START_DATA ||
+    data === SUSPENSE_PENDING_START_DATA ||
+    data === SUSPENSE_FALLBACK_START_DATA
+  );
+}
+
+function isHydratable(node: Node): boolean {
+  if (node.nodeType === ELEMENT_NODE || node.nodeType === TEXT_NODE) {
+    return true;
+  }
+  // Other comments, like the <!-- --> text separators or portal placeholders,
+  // have no counterpart in the element tree.
+  if (node.nodeType === COMMENT_NODE) {
+    const data = ((node: any): Comment).data;
+    return isSuspenseStart(data) || data === SUSPENSE_END_DATA;
+  }
+  return false;
+}
+
+function getSuspenseBoundaryEnd(start: Node): Node | null {
+  let node = start.nextSibling;
+  let depth = 0;
+  while (node !== null) {
+    if (node.nodeType === COMMENT_NODE) {
+      const data = ((node: any): Comment).data;
+      if (data === SUSPENSE_END_DATA) {
+        if (depth === 0) {
+          return node;
+        }
+        depth--;
+      } else if (isSuspenseStart(data)) {
+        depth++;
+      }
+    }
+    node = node.nextSibling;
+  }
+  return null;
+}
+
+// Resources the server hoisted were injected at the end of the <head>.
+function isHoistedHeadResource(parent: Node, node: Node): boolean {
+  if (node.nodeType !== ELEMENT_NODE || parent.nodeName !== 'HEAD') {
+    return false;
+  }
+  const tag = node.nodeName;
+  return tag === 'TITLE' || tag === 'META' || tag === 'LINK';
+}
+
+// Bootstrap scripts are added to the end of the <body> by the renderer.
+function isBootstrapScript(
+  options: HydrationOptions | void,
+  parent: Node,
+  node: Node,
+): boolean {
+  return (
+    node.nodeType === ELEMENT_NODE &&
+    node.nodeName === 'SCRIPT' &&
+    parent.nodeName === 'BODY' &&
+    isBootstrapScriptElement(options, ((node: any): Element))
+  );
+}
+
+function describeNode(node: Node): string {
+  if (node.nodeType === TEXT_NODE) {
+    return 'the text node "' + ((node: any): Text).data + '"';
+  }
+  if (node.nodeType === COMMENT_NODE) {
+    return 'a <Suspense> boundary';
+  }
+  return 'a <' + node.nodeName.toLowerCase() + '>';
+}
+
+function describeParent(frame: CursorFrame): string {
+  return frame.parent.nodeName.toLowerCase();
+}
+
+export function getElementFromNode(node: Node): ReactElement | null {
+  const element = (node: any)[internalElementKey];
+  return element === undefined ? null : element;
+}
+
+// Walks the server rendered DOM in lockstep with the partial renderer. The
+// renderer reports every host node it would have emitted, so whatever it
+// writes into markup is exactly what we compare the DOM against.
+export class HydrationCursor {
+  stack: Array<CursorFrame>;
+  onMismatch: ((mismatch: HydrationMismatch) => void) | void;
+  mismatches: Array<HydrationMismatch>;
+  hoistHeadResources: boolean;
+  options: HydrationOptions | void;
+
+  constructor(container: Node, options?: HydrationOptions) {
+    this.stack = [
+      {
+        parent: container,
+        next: container.firstChild,
+        end: null,
+        skip: false,
+        suppressHydrationWarning: false,
+        componentStack: '',
+      },
+    ];
+    this.onMismatch = options ? options.onMismatch : undefined;
+    this.mismatches = [];
+    this.hoistHeadResources = !!(options && options.hoistHeadResources);
+    this.options = options;
+  }
+
+  report(
+    type: $PropertyType<HydrationMismatch, 'type'>,
+    node: Node | null,
+    componentStack: string,
+    message: string,
+    ...args: Array<string>
+  ): void {
+    const mismatch = {
+      type,
+      message: format(message, args),
+      componentStack,
+      node,
+    };
+    this.mismatches.push(mismatch);
+    if (this.onMismatch !== undefined) {
+      this.onMismatch(mismatch);
+    } else if (__DEV__) {
+      console.error(message + '%s', ...args, componentStack);
+    }
+  }
+
+  pushSkippedFrame(parent: Node): void {
+    this.stack.push({
+      parent,
+      next: null,
+      end: null,
+      skip: true,
+      suppressHydrationWarning: true,
+      componentStack: '',
+    });
+  }
+
+  nextHydratableNode(frame: CursorFrame): Node | null {
+    let node = frame.next;
+    while (node !== null && node !== frame.end) {
+      if (isHydratable(node)) {
+        return node;
+      }
+      node = node.nextSibling;
+    }
+    return null;
+  }
+
+  text(text: string): void {
+    const frame = this.stack[this.stack.length - 1];
+    if (frame.skip) {
+      return;
+    }
+    const node = this.nextHydratableNode(frame);
+    if (node === null || node.nodeType !== TEXT_NODE) {
+      this.report(
+        'missing',
+        node,
+        getCurrentComponentStack(),
+        'Expected server HTML to contain a matching text node for "%s" in <%s>.',
+        text,
+        describeParent(frame),
+      );
+      return;
+    }
+    frame.next = node.nextSibling;
+    const serverText = ((node: any): Text).data;
+    if (
+      !frame.suppressHydrationWarning &&
+      normalizeMarkupForTextOrAttribute(serverText) !==
+        normalizeMarkupForTextOrAttribute(text)
+    ) {
+      this.report(
+        'text',
+        node,
+        getCurrentComponentStack(),
+        'Text content did not match. Server: "%s" Client: "%s"',
+        serverText,
+        text,
+      );
+    }
+  }
+
+  enterElement(
+    element: ReactElement,
+    tag: string,
+    props: Object,
+    openTagMarkup: string,
+  ): void {
+    const frame = this.stack[this.stack.length - 1];
+    if (frame.skip) {
+      this.pushSkippedFrame(frame.parent);
+      return;
+    }
+    const componentStack = getCurrentComponentStack();
+    const node = this.nextHydratableNode(frame);
+    if (
+      node === null ||
+      node.nodeType !== ELEMENT_NODE ||
+      node.nodeName.toLowerCase() !== tag
+    ) {
+      this.report(
+        'missing',
+        node,
+        componentStack,
+        'Expected server HTML to contain a matching <%s> in <%s>.',
+        tag,
+        describeParent(frame),
+      );
+      this.pushSkippedFrame(frame.parent);
+      return;
+    }
+    frame.next = node.nextSibling;
+    (node: any)[internalElementKey] = element;
+
+    const suppressHydrationWarning = props.suppressHydrationWarning === true;
+    if (!suppressHydrationWarning) {
+      this.diffAttributes(((node: any): Element), openTagMarkup, componentStack);
+    }
+
+    if (props.dangerouslySetInnerHTML != null) {
+      // We can't know what the inner HTML turned into, so trust the server.
+      this.pushSkippedFrame(node);
+      return;
+    }
+    this.stack.push({
+      parent: node,
+      next: node.firstChild,
+      end: null,
+      skip: false,
+      suppressHydrationWarning,
+      componentStack,
+    });
+    const content = props.children;
+    if (
+      (typeof content === 'string' || typeof content === 'number') &&
+      content !== ''
+    ) {
+      // The renderer inlines single text children into the open tag markup
+      // instead of rendering them as a separate child.
+      this.text('' + content);
+    }
+  }
+
+  diffAttributes(
+    node: Element,
+    openTagMarkup: string,
+    componentStack: string,
+  ): void {
+    const expectedAttributes = {};
+    let match;
+    ATTRIBUTE_MARKUP_REGEX.lastIndex = 0;
+    while ((match = ATTRIBUTE_MARKUP_REGEX.exec(openTagMarkup)) !== null) {
+      const name = match[1];
+      const escapedValue = match[2];
+      expectedAttributes[name.toLowerCase()] = true;
+      if (name === ROOT_ATTRIBUTE_NAME) {
+        continue;
+      }
+      const serverValue = node.getAttribute(name);
+      if (serverValue === null) {
+        this.report(
+          'attribute',
+          node,
+          componentStack,
+          'Prop `%s` did not match. Server: %s Client: %s',
+          name,
+          'null',
+          '"' + escapedValue + '"',
+        );
+      } else if (
+        normalizeMarkupForTextOrAttribute(escapeTextForBrowser(serverValue)) !==
+        normalizeMarkupForTextOrAttribute(escapedValue)
+      ) {
+        this.report(
+          'attribute',
+          node,
+          componentStack,
+          'Prop `%s` did not match. Server: %s Client: %s',
+          name,
+          '"' + escapeTextForBrowser(serverValue) + '"',
+          '"' + escapedValue + '"',
+        );
+      }
+    }
+    const extraAttributeNames = [];
+    const attributes = node.attributes;
+    for (let i = 0; i < attributes.length; i++) {
+      const name = attributes[i].name;
+      if (
+        name !== ROOT_ATTRIBUTE_NAME &&
+        !expectedAttributes.hasOwnProperty(name.toLowerCase())
+      ) {
+        extraAttributeNames.push(name);
+      }
+    }
+    if (extraAttributeNames.length > 0) {
+      this.report(
+        'attribute',
+        node,
+        componentStack,
+        'Extra attributes from the server: %s',
+        extraAttributeNames.join(', '),
+      );
+    }
+  }
+
+  // `aborted` is set when the renderer is unwinding, e.g. because something
+  // suspended. The rest of the children never got a chance to match.
+  exitElement(aborted: boolean): void {
+    const frame = this.stack.pop();
+    if (!aborted) {
+      this.reportExtraNodes(frame);
+    }
+  }
+
+  enterSuspense(): void {
+    const frame = this.stack[this.stack.length - 1];
+    if (frame.skip) {
+      this.pushSkippedFrame(frame.parent);
+      return;
+    }
+    const node = this.nextHydratableNode(frame);
+    const end = node !== null ? getSuspenseBoundaryEnd(node) : null;
+    if (
+      node === null ||
+      node.nodeType !== COMMENT_NODE ||
+      !isSuspenseStart(((node: any): Comment).data) ||
+      end === null
+    ) {
+      this.report(
+        'missing',
+        node,
+        getCurrentComponentStack(),
+        'Expected server HTML to contain a matching <%s> in <%s>.',
+        'Suspense',
+        describeParent(frame),
+      );
+      this.pushSkippedFrame(frame.parent);
+      return;
+    }
+    frame.next = end.nextSibling;
+    if (((node: any): Comment).data !== SUSPENSE_START_DATA) {
+      // The server sent a fallback (or hasn't streamed the content yet), so
+      // this boundary gets rendered on the client instead.
+      this.pushSkippedFrame(frame.parent);
+      return;
+    }
+    this.stack.push({
+      parent: frame.parent,
+      next: node.nextSibling,
+      end,
+      skip: false,
+      suppressHydrationWarning: false,
+      componentStack: getCurrentComponentStack(),
+    });
+  }
+
+  exitSuspense(aborted: boolean): void {
+    const frame = this.stack.pop();
+    if (!aborted) {
+      this.reportExtraNodes(frame);
+    }
+  }
+
+  // The declarative shadow root was attached to the host element while
+  // parsing, so its children are matched against the element's shadow root.
+  // Closed shadow roots can't be reached from here and aren't checked.
+  enterShadowRoot(styleSheetCount: number): void {
+    const frame = this.stack[this.stack.length - 1];
+    const shadowRoot = frame.skip ? null : (frame.parent: any).shadowRoot;
+    if (shadowRoot == null) {
+      this.pushSkippedFrame(frame.parent);
+      return;
+    }
+    let next = shadowRoot.firstChild;
+    // Skip the <style> elements of the adopted stylesheets.
+    for (let i = 0; i < styleSheetCount && next !== null; i++) {
+      while (next !== null && !isHydratable(next)) {
+        next = next.nextSibling;
+      }
+      if (next !== null) {
+        next = next.nextSibling;
+      }
+    }
+    this.stack.push({
+      parent: shadowRoot,
+      next,
+      end: null,
+      skip: false,
+      suppressHydrationWarning: frame.suppressHydrationWarning,
+      componentStack: getCurrentComponentStack(),
+    });
+  }
+
+  exitShadowRoot(aborted: boolean): void {
+    const frame = this.stack.pop();
+    if (!aborted) {
+      this.reportExtraNodes(frame);
+    }
+  }
+
+  reportExtraNodes(frame: CursorFrame): void {
+    if (frame.skip) {
+      return;
+    }
+    let node = this.nextHydratableNode(frame);
+    while (node !== null) {
+      if (
+        isBootstrapScript(this.options, frame.parent, node) ||
+        (this.hoistHeadResources && isHoistedHeadResource(frame.parent, node))
+      ) {
+        frame.next = node.nextSibling;
+        node = this.nextHydratableNode(frame);
+        continue;
+      }
+      this.report(
+        'extra',
+        node,
+        frame.componentStack,
+        'Did not expect server HTML to contain %s in <%s>.',
+        describeNode(node),
+        describeParent(frame),
+      );
+      if (
+        node.nodeType === COMMENT_NODE &&
+        isSuspenseStart(((node: any): Comment).data)
+      ) {
+        const end = getSuspenseBoundaryEnd(node);
+        frame.next = end !== null ? end.nextSibling : null;
+      } else {
+        frame.next = node.nextSibling;
+      }
+      node = this.nextHydratableNode(frame);
+    }
+  }
+
+  finish(): void {
+    while (this.stack.length > 0) {
+      this.reportExtraNodes(this.stack.pop());
+    }
+  }
+}
+
+/**
+ * Walks server rendered markup inside `container` against `element`,
+ * attaching each element to the DOM node it was rendered into and reporting
+ * anything that doesn't line up.
+ */
+export function hydrate(
+  element: mixed,
+  container: Element | Document | DocumentFragment,
+  options?: HydrationOptions,
+): Array<HydrationMismatch> {
+  const cursor = new HydrationCursor(container, options);
+  const renderer = new ReactPartialRenderer(element, false, {
+    identifierPrefix: options ? options.identifierPrefix : undefined,
+    strictCSP: options ? options.strictCSP : undefined,
+    hoistHeadResources: options ? options.hoistHeadResources : undefined,
+  });
+  renderer.hydrationCursor = cursor;
+  try {
+    renderer.read(Infinity);
+  } finally {
+    renderer.destroy();
+  }
+  cursor.finish();
+  return cursor.mismatches;
+}
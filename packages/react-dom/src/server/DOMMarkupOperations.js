@@ -8,13 +8,17 @@
  */
 
 import {
+  BOOLEAN,
+  OVERLOADED_BOOLEAN,
   ROOT_ATTRIBUTE_NAME,
   isAttributeNameSafe,
   getPropertyInfo,
   shouldIgnoreAttribute,
   shouldRemoveAttribute,
 } from '../shared/DOMProperty';
-import sanitizeURL from '../shared/sanitizeURL';
+import type {URLPolicy} from '../shared/sanitizeURL';
+
+import sanitizeURL, {applyURLPolicy} from '../shared/sanitizeURL';
 import quoteAttributeValueForBrowser from './quoteAttributeValueForBrowser';
 
 export function createMarkupForRoot(): string {
@@ -26,9 +30,19 @@ export function createMarkupForRoot(): string {
  *
  * @param {string} name
  * @param {*} value
- * @return {?string} Markup string, or null if the property was invalid.
+ * @param {string} tagName Only needed with a URL policy.
+ * @param {?URLPolicy} urlPolicy Checked for URL properties instead of the
+ *   default javascript: URL check.
+ * @param {?function} onURLPolicyViolation Called with URLs the policy rejected.
+ * @return {string} Markup string, or empty string if the property was invalid.
  */
-export function createMarkupForProperty(name: string, value: mixed): string {
+export function createMarkupForProperty(
+  name: string,
+  value: mixed,
+  tagName?: string,
+  urlPolicy?: URLPolicy | null,
+  onURLPolicyViolation?: (error: Error) => void,
+): string {
   const propertyInfo = getPropertyInfo(name);
   if (name !== 'style' && shouldIgnoreAttribute(name, propertyInfo, false)) {
     return '';
@@ -38,15 +52,31 @@ export function createMarkupForProperty(name: string, value: mixed): string {
   }
   if (propertyInfo !== null) {
     const attributeName = propertyInfo.attributeName;
-    const { type } = propertyInfo;
+    const {type} = propertyInfo;
     if (type === BOOLEAN || (type === OVERLOADED_BOOLEAN && value === true)) {
       return attributeName + '=""';
     } else {
       if (propertyInfo.sanitizeURL) {
         value = '' + (value: any);
-        sanitizeURL(value);
+        if (urlPolicy != null && tagName !== undefined) {
+          const result = applyURLPolicy(
+            value,
+            urlPolicy,
+            tagName,
+            attributeName,
+          );
+          if (typeof result !== 'string') {
+            if (onURLPolicyViolation !== undefined) {
+              onURLPolicyViolation(result);
+            }
+            return '';
+          }
+          value = result;
+        } else {
+          sanitizeURL(value);
+        }
       }
-      return attributeName + '=' + quoteAttributeValueForBrowser
+      return attributeName + '=' + quoteAttributeValueForBrowser(value);
     }
   } else if (isAttributeNameSafe(name)) {
     return name + '=' + quoteAttributeValueForBrowser(value);
@@ -55,7 +85,10 @@ export function createMarkupForProperty(name: string, value: mixed): string {
 }
 
 /**
- * Creates markup for a custom property.
+ * Creates markup for a custom property. Custom elements only get the values
+ * that survive being serialized: strings and numbers are written out, `true`
+ * becomes an empty attribute and `false` removes it. Functions, symbols and
+ * objects can only be set as properties, so they're left for the client.
  *
  * @param {string} name
  * @param {*} value
@@ -65,8 +98,25 @@ export function createMarkupForCustomAttribute(
   name: string,
   value: mixed,
 ): string {
-  if (!isAttributeNameSafe(name) || value == null) {
+  if (value == null) {
     return '';
   }
-  return name += '=' + quoteAttributeValueForBrowser(value);
+  switch (typeof value) {
+    case 'function':
+    case 'symbol':
+    case 'object':
+      return '';
+  }
+  if (name === 'className') {
+    name = 'class';
+  } else if (name === 'htmlFor') {
+    name = 'for';
+  }
+  if (!isAttributeNameSafe(name)) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? name + '=""' : '';
+  }
+  return name + '=' + quoteAttributeValueForBrowser(value);
 }
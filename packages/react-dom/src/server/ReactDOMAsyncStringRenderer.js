@@ -0,0 +1,69 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type {ServerOptions} from './ReactPartialRenderer';
+
+import ReactPartialRenderer from './ReactPartialRenderer';
+import {startAsyncSuspense, readAsync} from './ReactPartialRendererAsync';
+
+function readToEndAsync(
+  partialRenderer: ReactPartialRenderer,
+  options?: ServerOptions,
+): Promise<string> {
+  startAsyncSuspense(partialRenderer, options);
+  let markup = '';
+  function readNext() {
+    return readAsync(partialRenderer, Infinity).then(chunk => {
+      if (chunk === null) {
+        return markup;
+      }
+      markup += chunk;
+      return readNext();
+    });
+  }
+  return readNext().then(
+    result => {
+      partialRenderer.destroy();
+      return result;
+    },
+    error => {
+      partialRenderer.destroy();
+      throw error;
+    },
+  );
+}
+
+/**
+ * Like renderToString, but waits for suspended components to resolve their
+ * data instead of immediately rendering the closest Suspense fallback. The
+ * fallback is only used once `options.suspenseTimeout` has elapsed.
+ */
+export function renderToStringAsync(
+  element: mixed,
+  options?: ServerOptions,
+): Promise<string> {
+  return readToEndAsync(
+    new ReactPartialRenderer(element, false, options),
+    options,
+  );
+}
+
+/**
+ * Like renderToStaticMarkup, but waits for suspended components. See
+ * renderToStringAsync.
+ */
+export function renderToStaticMarkupAsync(
+  element: mixed,
+  options?: ServerOptions,
+): Promise<string> {
+  return readToEndAsync(
+    new ReactPartialRenderer(element, true, options),
+    options,
+  );
+}
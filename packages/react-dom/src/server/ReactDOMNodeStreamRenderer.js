@@ -0,0 +1,95 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type {ServerOptions} from './ReactPartialRenderer';
+
+import {Readable} from 'stream';
+
+import ReactPartialRenderer from './ReactPartialRenderer';
+import {startStreamSuspense, readAsync} from './ReactPartialRendererAsync';
+
+// This is a Readable Node.js stream which wraps the ReactDOMPartialRenderer.
+class ReactMarkupReadableStream extends Readable {
+  partialRenderer: ReactPartialRenderer;
+
+  constructor(element, makeStaticMarkup, options) {
+    // Calls the stream.Readable(options) constructor. Consider exposing built-in
+    // features like highWaterMark in the future.
+    super({});
+    this.partialRenderer = new ReactPartialRenderer(
+      element,
+      makeStaticMarkup,
+      options,
+    );
+    startStreamSuspense(this.partialRenderer, options);
+  }
+
+  // In strict CSP mode, the rules for the generated class names. Complete
+  // once the stream has ended.
+  getStyleSheet(): string {
+    return this.partialRenderer.getStyleSheet();
+  }
+
+  // With `hoistHeadResources`, the <title>, <meta> and <link> elements taken
+  // out of the markup. Complete once the stream has ended.
+  getHeadMarkup(): string {
+    return this.partialRenderer.getHeadMarkup();
+  }
+
+  // The markup that portals rendered into the container with this ID. Complete
+  // once the stream has ended.
+  getPortalMarkup(containerID: string): string {
+    return this.partialRenderer.getPortalMarkup(containerID);
+  }
+
+  _destroy(err, callback) {
+    // Runs both when the consumer calls destroy() and after the stream ended,
+    // so the thread ID is always handed back to the allocator.
+    this.partialRenderer.destroy();
+    callback(err);
+  }
+
+  _read(size) {
+    readAsync(this.partialRenderer, size).then(
+      markup => {
+        if (!this.destroyed) {
+          // Pushing null (once the renderer is exhausted) ends the stream.
+          this.push(markup);
+        }
+      },
+      err => {
+        this.destroy(err);
+      },
+    );
+  }
+}
+
+/**
+ * Render a ReactElement to its initial HTML. This should only be used on the
+ * server.
+ * See https://reactjs.org/docs/react-dom-server.html#rendertonodestream
+ */
+export function renderToNodeStream(
+  element: mixed,
+  options?: ServerOptions,
+): Readable {
+  return new ReactMarkupReadableStream(element, false, options);
+}
+
+/**
+ * Similar to renderToNodeStream, except this doesn't create extra DOM attributes
+ * such as data-react-id that React uses internally.
+ * See https://reactjs.org/docs/react-dom-server.html#rendertostaticnodestream
+ */
+export function renderToStaticNodeStream(
+  element: mixed,
+  options?: ServerOptions,
+): Readable {
+  return new ReactMarkupReadableStream(element, true, options);
+}
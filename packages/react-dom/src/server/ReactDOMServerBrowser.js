@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import ReactVersion from 'shared/ReactVersion';
+import invariant from 'shared/invariant';
+
+import {
+  renderToString,
+  renderToStaticMarkup,
+  renderToStringWithResources,
+} from './ReactDOMStringRenderer';
+import {
+  renderToStringAsync,
+  renderToStaticMarkupAsync,
+} from './ReactDOMAsyncStringRenderer';
+import {renderToReadableStream} from './ReactDOMWebStreamRenderer';
+import sanitizeHTML from './sanitizeHTML';
+import RenderLimitError from './RenderLimitError';
+import {createComponentCache} from './ReactDOMServerComponentCache';
+
+function renderToNodeStream() {
+  invariant(
+    false,
+    'ReactDOMServer.renderToNodeStream(): The streaming API is not available ' +
+      'in the browser. Use ReactDOMServer.renderToString() instead.',
+  );
+}
+
+function renderToStaticNodeStream() {
+  invariant(
+    false,
+    'ReactDOMServer.renderToStaticNodeStream(): The streaming API is not available ' +
+      'in the browser. Use ReactDOMServer.renderToStaticMarkup() instead.',
+  );
+}
+
+export {
+  renderToString,
+  renderToStaticMarkup,
+  renderToStringWithResources,
+  renderToStringAsync,
+  renderToStaticMarkupAsync,
+  renderToNodeStream,
+  renderToStaticNodeStream,
+  renderToReadableStream,
+  sanitizeHTML,
+  RenderLimitError,
+  createComponentCache,
+  ReactVersion as version,
+};
@@ -0,0 +1,83 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type {ReactContext} from 'shared/ReactTypes';
+
+export type ContextDependency = {|
+  context: ReactContext<any>,
+  value: mixed,
+|};
+
+// The markup a cacheable memo component rendered, along with the context
+// values it was rendered with. It's only reused while those are the same.
+export type CachedSubtree = {|
+  markup: string,
+  contextDependencies: Array<ContextDependency>,
+  // Whether the markup ends in a text node, for the <!-- --> separators.
+  endsWithText: boolean,
+|};
+
+// Anything with a Map-like get and set can be used, e.g. to share entries
+// between renderers or to evict them differently.
+export type ComponentCache = {
+  get(key: string): CachedSubtree | void,
+  set(key: string, subtree: CachedSubtree): mixed,
+  ...
+};
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+// A Map remembers insertion order, so re-inserting an entry on every hit
+// keeps the least recently used one first.
+class LRUComponentCache {
+  maxEntries: number;
+  entries: Map<string, CachedSubtree>;
+
+  constructor(maxEntries: number) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key: string): CachedSubtree | void {
+    const subtree = this.entries.get(key);
+    if (subtree !== undefined) {
+      this.entries.delete(key);
+      this.entries.set(key, subtree);
+    }
+    return subtree;
+  }
+
+  set(key: string, subtree: CachedSubtree): void {
+    this.entries.delete(key);
+    this.entries.set(key, subtree);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+export function createComponentCache(
+  maxEntries?: number = DEFAULT_MAX_ENTRIES,
+): ComponentCache {
+  return new LRUComponentCache(maxEntries);
+}
+
+// Component types are keyed by an ID that's stable for the life of the
+// process, since names aren't unique.
+const componentCacheIDs: WeakMap<Object, string> = new WeakMap();
+let nextComponentCacheID = 0;
+
+export function getComponentCacheID(type: Object): string {
+  let id = componentCacheIDs.get(type);
+  if (id === undefined) {
+    id = 'c' + (nextComponentCacheID++).toString(36);
+    componentCacheIDs.set(type, id);
+  }
+  return id;
+}
@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import invariant from 'shared/invariant';
+import escapeTextForBrowser from './escapeTextForBrowser';
+
+export type ShadowRootMode = 'open' | 'closed';
+
+export type ShadowRoot = {
+  // Trusted markup, it's written out as is.
+  html: string,
+  mode?: ShadowRootMode,
+  delegatesFocus?: boolean,
+  // The text of stylesheets to adopt.
+  adoptedStyleSheets?: Array<string>,
+  ...
+};
+
+// Renders the shadow root of a custom element from its props, or returns
+// null to leave it to the client.
+export type CustomElementRenderer = (props: Object) => ShadowRoot | null;
+
+export type CustomElementRenderers = {
+  [tagName: string]: CustomElementRenderer,
+  ...
+};
+
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+// A declarative shadow root is a <template> that the parser attaches to its
+// parent element as a shadow root instead of keeping it in the tree.
+export function createShadowRootOpenMarkup(
+  mode: ShadowRootMode,
+  delegatesFocus: boolean,
+): string {
+  invariant(
+    mode === 'open' || mode === 'closed',
+    'A shadow root mode must be "open" or "closed". Instead received: %s.',
+    mode,
+  );
+  return (
+    '<template shadowrootmode="' +
+    mode +
+    '"' +
+    (delegatesFocus ? ' shadowrootdelegatesfocus=""' : '') +
+    '>'
+  );
+}
+
+export function createShadowRootCloseMarkup(): string {
+  return '</template>';
+}
+
+// Stylesheets adopted by a shadow root can't be expressed in HTML, so their
+// text goes into the shadow root as <style> elements instead. A "<" can only
+// start the end tag in there, so it's escaped the CSS way.
+export function createShadowRootStyleMarkup(
+  cssText: string,
+  nonce: string | void,
+): string {
+  return (
+    '<style' +
+    (nonce != null ? ' nonce="' + escapeTextForBrowser(nonce) + '"' : '') +
+    '>' +
+    ('' + cssText).replace(/</g, '\\3c ') +
+    '</style>'
+  );
+}
+
+// Customized built-ins (<button is="fancy-button">) are looked up by the
+// name they're registered with, autonomous custom elements by their tag.
+export function getCustomElementShadowRootMarkup(
+  renderers: CustomElementRenderers,
+  tag: string,
+  props: Object,
+  nonce: string | void,
+): string {
+  const name = typeof props.is === 'string' ? props.is : tag;
+  if (!hasOwnProperty.call(renderers, name)) {
+    return '';
+  }
+  const shadowRoot = renderers[name](props);
+  if (shadowRoot == null) {
+    return '';
+  }
+  invariant(
+    typeof shadowRoot === 'object' && shadowRoot.html != null,
+    'The custom element renderer for <%s> must return null or an object ' +
+      'with the `html` of its shadow root.',
+    name,
+  );
+  let markup = createShadowRootOpenMarkup(
+    shadowRoot.mode != null ? shadowRoot.mode : 'open',
+    !!shadowRoot.delegatesFocus,
+  );
+  const styleSheets = shadowRoot.adoptedStyleSheets;
+  if (styleSheets != null) {
+    for (let i = 0; i < styleSheets.length; i++) {
+      markup += createShadowRootStyleMarkup(styleSheets[i], nonce);
+    }
+  }
+  return markup + shadowRoot.html + createShadowRootCloseMarkup();
+}
@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import escapeTextForBrowser from './escapeTextForBrowser';
+
+export type BootstrapScript =
+  | string
+  | {
+      src: string,
+      integrity?: string,
+      crossOrigin?: string,
+      ...
+    };
+
+export type BootstrapOptions = {
+  bootstrapScripts?: Array<BootstrapScript>,
+  bootstrapModules?: Array<BootstrapScript>,
+  bootstrapScriptContent?: string,
+  nonce?: string,
+  ...
+};
+
+// Emitted in front of an <html> root element.
+export const DOCTYPE = '<!DOCTYPE html>';
+
+// Keeps the content from closing the script early, or from opening a
+// <!--<script> context that would swallow the rest of the page.
+const scriptRegex = /(<\/|<)(s)(cript)/gi;
+function scriptReplacer(
+  match: string,
+  prefix: string,
+  s: string,
+  suffix: string,
+): string {
+  return prefix + (s === 's' ? '\\u0073' : '\\u0053') + suffix;
+}
+
+function escapeBootstrapScriptContent(scriptText: string): string {
+  return ('' + scriptText).replace(scriptRegex, scriptReplacer);
+}
+
+function createNonceAttributeMarkup(nonce: string | void): string {
+  return nonce != null ? ' nonce="' + escapeTextForBrowser(nonce) + '"' : '';
+}
+
+function createBootstrapScriptMarkup(
+  script: BootstrapScript,
+  isModule: boolean,
+  nonce: string | void,
+): string {
+  const src = typeof script === 'string' ? script : script.src;
+  let markup =
+    '<script' +
+    (isModule ? ' type="module"' : '') +
+    ' src="' +
+    escapeTextForBrowser(src) +
+    '"' +
+    createNonceAttributeMarkup(nonce);
+  if (typeof script !== 'string') {
+    if (script.integrity != null) {
+      markup += ' integrity="' + escapeTextForBrowser(script.integrity) + '"';
+    }
+    if (script.crossOrigin != null) {
+      markup +=
+        ' crossorigin="' + escapeTextForBrowser(script.crossOrigin) + '"';
+    }
+  }
+  return markup + ' async=""></script>';
+}
+
+function matchesBootstrapScript(
+  scripts: Array<BootstrapScript> | void,
+  src: string,
+): boolean {
+  if (scripts == null) {
+    return false;
+  }
+  for (let i = 0; i < scripts.length; i++) {
+    const script = scripts[i];
+    if ((typeof script === 'string' ? script : script.src) === src) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Whether a parsed <script> element is one of the bootstrap scripts that
+// these options emit. The nonce isn't compared since browsers hide it.
+export function isBootstrapScriptElement(
+  options: BootstrapOptions | void,
+  element: Element,
+): boolean {
+  if (!options) {
+    return false;
+  }
+  const src = element.getAttribute('src');
+  if (src !== null) {
+    return element.getAttribute('type') === 'module'
+      ? matchesBootstrapScript(options.bootstrapModules, src)
+      : matchesBootstrapScript(options.bootstrapScripts, src);
+  }
+  return (
+    options.bootstrapScriptContent != null &&
+    element.textContent ===
+      escapeBootstrapScriptContent(options.bootstrapScriptContent)
+  );
+}
+
+// The scripts that start the client, emitted right before </body>.
+export function createBootstrapMarkup(
+  options: BootstrapOptions | void,
+): string {
+  if (!options) {
+    return '';
+  }
+  const nonce = options.nonce;
+  let markup = '';
+  if (options.bootstrapScriptContent != null) {
+    markup +=
+      '<script' +
+      createNonceAttributeMarkup(nonce) +
+      '>' +
+      escapeBootstrapScriptContent(options.bootstrapScriptContent) +
+      '</script>';
+  }
+  const scripts = options.bootstrapScripts;
+  if (scripts != null) {
+    for (let i = 0; i < scripts.length; i++) {
+      markup += createBootstrapScriptMarkup(scripts[i], false, nonce);
+    }
+  }
+  const modules = options.bootstrapModules;
+  if (modules != null) {
+    for (let i = 0; i < modules.length; i++) {
+      markup += createBootstrapScriptMarkup(modules[i], true, nonce);
+    }
+  }
+  return markup;
+}
@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import escapeTextForBrowser from './escapeTextForBrowser';
+
+// Markup and inline scripts used to stream Suspense boundaries out of order.
+//
+// A boundary whose content isn't ready yet is emitted as:
+//   <!--$?--><template id="B:0"></template>...fallback...<!--/$-->
+// Once its content resolves, it is appended to the end of the stream as:
+//   <div hidden id="S:0">...content...</div><script>$RC("B:0","S:0")</script>
+// and $RC removes the fallback and moves the content in its place.
+
+// Minified, this is:
+// function $RC(boundaryID, segmentID) {
+//   const template = document.getElementById(boundaryID);
+//   const segment = document.getElementById(segmentID);
+//   segment.parentNode.removeChild(segment);
+//   if (!template) {
+//     // The boundary was removed by the time the content arrived.
+//     return;
+//   }
+//   const start = template.previousSibling;
+//   const parent = start.parentNode;
+//   let node = start.nextSibling;
+//   let depth = 0;
+//   // Remove the template and the fallback, up to the matching <!--/$-->.
+//   do {
+//     if (node && node.nodeType === 8) {
+//       const data = node.data;
+//       if (data === '/$') {
+//         if (depth === 0) {
+//           break;
+//         }
+//         depth--;
+//       } else if (data === '$' || data === '$?' || data === '$!') {
+//         depth++;
+//       }
+//     }
+//     const next = node.nextSibling;
+//     parent.removeChild(node);
+//     node = next;
+//   } while (node);
+//   while (segment.firstChild) {
+//     parent.insertBefore(segment.firstChild, node);
+//   }
+//   start.data = '$';
+// }
+const completeBoundaryFunction =
+  'function $RC(b,s){var t=document.getElementById(b),c=document.getElementById(s);' +
+  'c.parentNode.removeChild(c);if(!t)return;' +
+  'var m=t.previousSibling,p=m.parentNode,n=m.nextSibling,d=0;' +
+  'do{if(n&&n.nodeType===8){var x=n.data;if(x==="/$"){if(d===0)break;d--}' +
+  'else if(x==="$"||x==="$?"||x==="$!")d++}' +
+  'var y=n.nextSibling;p.removeChild(n);n=y}while(n);' +
+  'while(c.firstChild)p.insertBefore(c.firstChild,n);m.data="$"}';
+
+// Serializes a string so that it is safe to embed in an inline script.
+function escapeScriptString(value: string): string {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+export function createInlineScriptMarkup(
+  content: string,
+  nonce: string | void,
+): string {
+  const nonceAttribute =
+    nonce != null ? ' nonce="' + escapeTextForBrowser(nonce) + '"' : '';
+  return '<script' + nonceAttribute + '>' + content + '</script>';
+}
+
+export function getBoundaryID(identifierPrefix: string, id: number): string {
+  return identifierPrefix + 'B:' + id.toString(16);
+}
+
+export function getSegmentID(identifierPrefix: string, id: number): string {
+  return identifierPrefix + 'S:' + id.toString(16);
+}
+
+export function createPendingBoundaryMarkup(boundaryID: string): string {
+  return (
+    '<!--$?--><template id="' +
+    escapeTextForBrowser(boundaryID) +
+    '"></template>'
+  );
+}
+
+export function createSegmentOpenMarkup(segmentID: string): string {
+  return '<div hidden id="' + escapeTextForBrowser(segmentID) + '">';
+}
+
+export function createSegmentCloseMarkup(
+  boundaryID: string,
+  segmentID: string,
+  nonce: string | void,
+  includeRuntime: boolean,
+): string {
+  return (
+    '</div>' +
+    createInlineScriptMarkup(
+      (includeRuntime ? completeBoundaryFunction + ';' : '') +
+        '$RC(' +
+        escapeScriptString(boundaryID) +
+        ',' +
+        escapeScriptString(segmentID) +
+        ')',
+      nonce,
+    )
+  );
+}
+
+// Marks a pending boundary as errored so that the client renders it instead
+// of waiting for content that is never going to arrive.
+export function createClientRenderBoundaryMarkup(
+  boundaryID: string,
+  nonce: string | void,
+): string {
+  return createInlineScriptMarkup(
+    'var t=document.getElementById(' +
+      escapeScriptString(boundaryID) +
+      ');t&&(t.previousSibling.data="$!")',
+    nonce,
+  );
+}
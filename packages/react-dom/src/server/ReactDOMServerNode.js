@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import ReactVersion from 'shared/ReactVersion';
+
+import {
+  renderToString,
+  renderToStaticMarkup,
+  renderToStringWithResources,
+} from './ReactDOMStringRenderer';
+import {
+  renderToStringAsync,
+  renderToStaticMarkupAsync,
+} from './ReactDOMAsyncStringRenderer';
+import {
+  renderToNodeStream,
+  renderToStaticNodeStream,
+} from './ReactDOMNodeStreamRenderer';
+import {renderToReadableStream} from './ReactDOMWebStreamRenderer';
+import sanitizeHTML from './sanitizeHTML';
+import RenderLimitError from './RenderLimitError';
+import {createComponentCache} from './ReactDOMServerComponentCache';
+
+export {
+  renderToString,
+  renderToStaticMarkup,
+  renderToStringWithResources,
+  renderToStringAsync,
+  renderToStaticMarkupAsync,
+  renderToNodeStream,
+  renderToStaticNodeStream,
+  renderToReadableStream,
+  sanitizeHTML,
+  RenderLimitError,
+  createComponentCache,
+  ReactVersion as version,
+};
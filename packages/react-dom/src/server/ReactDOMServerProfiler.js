@@ -0,0 +1,203 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import getComponentName from 'shared/getComponentName';
+
+// One node per component type under each parent. Durations are in
+// milliseconds of wall time, so they include time spent waiting on suspended
+// data or yielding between time slices.
+export type ProfileNode = {|
+  name: string,
+  renders: number,
+  // Time spent in the component's own render, including its Hooks.
+  selfDuration: number,
+  // Time from the component's render until its subtree was done.
+  duration: number,
+  // Markup emitted by the component's subtree.
+  bytes: number,
+  children: Array<ProfileNode>,
+|};
+
+// A complete event of the Chrome trace-event format, with times in
+// microseconds.
+export type TraceEvent = {|
+  name: string,
+  cat: string,
+  ph: 'X',
+  ts: number,
+  dur: number,
+  pid: number,
+  tid: number,
+  args: {|selfDuration: number, bytes: number|},
+|};
+
+export type ServerRenderProfile = {|
+  tree: ProfileNode,
+  // Can be saved as JSON and loaded into a trace viewer as it is.
+  trace: {|traceEvents: Array<TraceEvent>, displayTimeUnit: 'ms'|},
+|};
+
+type TreeNode = {|
+  name: string,
+  renders: number,
+  selfDuration: number,
+  duration: number,
+  bytes: number,
+  children: Map<mixed, TreeNode>,
+|};
+
+type OpenComponent = {|
+  node: TreeNode,
+  name: string,
+  startTime: number,
+  selfDuration: number,
+  startBytes: number,
+|};
+
+const localPerformance =
+  typeof performance === 'object' && typeof performance.now === 'function'
+    ? performance
+    : null;
+
+const now: () => number =
+  localPerformance !== null ? () => localPerformance.now() : () => Date.now();
+
+function createTreeNode(name: string): TreeNode {
+  return {
+    name,
+    renders: 0,
+    selfDuration: 0,
+    duration: 0,
+    bytes: 0,
+    children: new Map(),
+  };
+}
+
+function toProfileNode(node: TreeNode): ProfileNode {
+  const children = [];
+  node.children.forEach(child => {
+    children.push(toProfileNode(child));
+  });
+  return {
+    name: node.name,
+    renders: node.renders,
+    selfDuration: node.selfDuration,
+    duration: node.duration,
+    bytes: node.bytes,
+    children,
+  };
+}
+
+// Components are opened when they render and closed once their subtree is
+// done, which is when the frame their children were pushed in is popped. So
+// the components that are open at any point are the ancestors of whatever is
+// rendering, innermost last.
+export default class ServerRenderProfiler {
+  threadID: number;
+  startTime: number;
+  byteCount: number;
+  root: TreeNode;
+  openComponents: Array<OpenComponent>;
+  traceEvents: Array<TraceEvent>;
+
+  constructor(threadID: number) {
+    this.threadID = threadID;
+    this.startTime = now();
+    this.byteCount = 0;
+    this.root = createTreeNode('Root');
+    this.root.renders = 1;
+    this.openComponents = [];
+    this.traceEvents = [];
+  }
+
+  getOpenCount(): number {
+    return this.openComponents.length;
+  }
+
+  addBytes(bytes: number): void {
+    this.byteCount += bytes;
+  }
+
+  startComponent(type: mixed): void {
+    const openComponents = this.openComponents;
+    const parent =
+      openComponents.length > 0
+        ? openComponents[openComponents.length - 1].node
+        : this.root;
+    let node = parent.children.get(type);
+    if (node === undefined) {
+      node = createTreeNode(getComponentName(type) || 'Anonymous');
+      parent.children.set(type, node);
+    }
+    node.renders++;
+    openComponents.push({
+      node,
+      name: node.name,
+      startTime: now(),
+      selfDuration: 0,
+      startBytes: this.byteCount,
+    });
+  }
+
+  // Called when the render of the innermost open component has returned.
+  stopComponentRender(): void {
+    const component = this.openComponents[this.openComponents.length - 1];
+    component.selfDuration = now() - component.startTime;
+    component.node.selfDuration += component.selfDuration;
+  }
+
+  // Closes the components opened since there were `openCount` of them.
+  finishComponents(openCount: number): void {
+    const openComponents = this.openComponents;
+    const endTime = now();
+    while (openComponents.length > openCount) {
+      const component = openComponents.pop();
+      const duration = endTime - component.startTime;
+      const bytes = this.byteCount - component.startBytes;
+      component.node.duration += duration;
+      component.node.bytes += bytes;
+      this.traceEvents.push({
+        name: component.name,
+        cat: 'react-dom-server',
+        ph: 'X',
+        ts: (component.startTime - this.startTime) * 1000,
+        dur: duration * 1000,
+        pid: 0,
+        tid: this.threadID,
+        args: {selfDuration: component.selfDuration, bytes},
+      });
+    }
+  }
+
+  finish(): ServerRenderProfile {
+    this.finishComponents(0);
+    const duration = now() - this.startTime;
+    const root = this.root;
+    root.duration = duration;
+    root.bytes = this.byteCount;
+    const traceEvents = this.traceEvents;
+    traceEvents.push({
+      name: 'Root',
+      cat: 'react-dom-server',
+      ph: 'X',
+      ts: 0,
+      dur: duration * 1000,
+      pid: 0,
+      tid: this.threadID,
+      args: {selfDuration: 0, bytes: this.byteCount},
+    });
+    // Trace viewers expect events in the order they started, with parents
+    // before their children.
+    traceEvents.sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+    return {
+      tree: toProfileNode(root),
+      trace: {traceEvents, displayTimeUnit: 'ms'},
+    };
+  }
+}
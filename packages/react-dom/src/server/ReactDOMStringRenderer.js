@@ -0,0 +1,81 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type {ServerOptions} from './ReactPartialRenderer';
+
+import ReactPartialRenderer from './ReactPartialRenderer';
+
+/**
+ * Render a ReactElement to its initial HTML. This should only be used on the
+ * server.
+ * See https://reactjs.org/docs/react-dom-server.html#rendertostring
+ */
+export function renderToString(
+  element: mixed,
+  options?: ServerOptions,
+): string {
+  const renderer = new ReactPartialRenderer(element, false, options);
+  try {
+    const markup = renderer.read(Infinity);
+    return markup;
+  } finally {
+    renderer.destroy();
+  }
+}
+
+/**
+ * Similar to renderToString, except this doesn't create extra DOM attributes
+ * such as data-react-id that React uses internally.
+ * See https://reactjs.org/docs/react-dom-server.html#rendertostaticmarkup
+ */
+export function renderToStaticMarkup(
+  element: mixed,
+  options?: ServerOptions,
+): string {
+  const renderer = new ReactPartialRenderer(element, true, options);
+  try {
+    const markup = renderer.read(Infinity);
+    return markup;
+  } finally {
+    renderer.destroy();
+  }
+}
+
+/**
+ * Like renderToString, but also returns what the renderer collected on the
+ * side, each of which depends on an option:
+ * - `styleSheet`: with `strictCSP`, the rules for the class names that
+ *   replaced `style` props.
+ * - `head`: with `hoistHeadResources`, the <title>, <meta> and <link>
+ *   elements taken out of the markup, to be put into the head of the page.
+ * - `portals`: the markup portals rendered, by container ID. The main markup
+ *   marks where each portal was placed with a <!--p:containerID--> comment.
+ */
+export function renderToStringWithResources(
+  element: mixed,
+  options?: ServerOptions,
+): {|
+  html: string,
+  styleSheet: string,
+  head: string,
+  portals: {[containerID: string]: string},
+|} {
+  const renderer = new ReactPartialRenderer(element, false, options);
+  try {
+    const html = renderer.read(Infinity);
+    return {
+      html,
+      styleSheet: renderer.getStyleSheet(),
+      head: renderer.getHeadMarkup(),
+      portals: renderer.portalMarkup,
+    };
+  } finally {
+    renderer.destroy();
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type {ServerOptions} from './ReactPartialRenderer';
+
+import ReactPartialRenderer from './ReactPartialRenderer';
+import {startStreamSuspense, readAsync} from './ReactPartialRendererAsync';
+
+export type WebStreamOptions = {
+  ...ServerOptions,
+  signal?: AbortSignal,
+  ...
+};
+
+export type MarkupReadableStream = ReadableStream & {
+  // In strict CSP mode, the rules for the generated class names. Complete
+  // once the stream has closed.
+  getStyleSheet(): string,
+  // With `hoistHeadResources`, the <title>, <meta> and <link> elements taken
+  // out of the markup. Complete once the stream has closed.
+  getHeadMarkup(): string,
+  // The markup that portals rendered into the container with this ID.
+  // Complete once the stream has closed.
+  getPortalMarkup(containerID: string): string,
+  ...
+};
+
+// Roughly how much markup we try to produce for each pull. The renderer
+// measures this in characters rather than encoded bytes, which is close
+// enough for chunking purposes.
+const CHUNK_SIZE = 2048;
+
+function getAbortReason(signal: AbortSignal): mixed {
+  return (signal: any).reason !== undefined
+    ? (signal: any).reason
+    : new Error('The render was aborted by the server.');
+}
+
+// This is a WHATWG ReadableStream which wraps the ReactDOMPartialRenderer.
+// Unlike the Node stream it doesn't depend on `stream`, so it can be used in
+// edge and worker runtimes.
+function createMarkupReadableStream(
+  element: mixed,
+  makeStaticMarkup: boolean,
+  options?: WebStreamOptions,
+): MarkupReadableStream {
+  const signal = options ? options.signal : undefined;
+  if (signal && signal.aborted) {
+    // Don't render anything, and don't take a thread ID we'd have to give
+    // back.
+    const reason = getAbortReason(signal);
+    const abortedStream: any = new ReadableStream({
+      start(controller) {
+        controller.error(reason);
+      },
+    });
+    abortedStream.getStyleSheet = () => '';
+    abortedStream.getHeadMarkup = () => '';
+    abortedStream.getPortalMarkup = (containerID: string) => '';
+    return abortedStream;
+  }
+
+  const partialRenderer = new ReactPartialRenderer(
+    element,
+    makeStaticMarkup,
+    options,
+  );
+  startStreamSuspense(partialRenderer, options);
+  const encoder = new TextEncoder();
+
+  let closed = false;
+  let streamController = null;
+  function onAbort() {
+    cleanup();
+    if (streamController !== null) {
+      streamController.error(getAbortReason((signal: any)));
+    }
+  }
+  function cleanup() {
+    closed = true;
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    // Releases the thread ID unless the renderer already ran to completion.
+    partialRenderer.destroy();
+  }
+
+  const stream: any = new ReadableStream({
+    start(controller) {
+      streamController = controller;
+    },
+    pull(controller) {
+      return readAsync(partialRenderer, CHUNK_SIZE).then(
+        markup => {
+          if (closed) {
+            return;
+          }
+          if (markup === null) {
+            cleanup();
+            controller.close();
+            return;
+          }
+          controller.enqueue(encoder.encode(markup));
+        },
+        error => {
+          if (closed) {
+            return;
+          }
+          cleanup();
+          controller.error(error);
+        },
+      );
+    },
+    cancel(reason) {
+      cleanup();
+    },
+  });
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+
+  // ReadableStream isn't subclassed so that this module can still be loaded
+  // where it doesn't exist.
+  stream.getStyleSheet = () => partialRenderer.getStyleSheet();
+  stream.getHeadMarkup = () => partialRenderer.getHeadMarkup();
+  stream.getPortalMarkup = (containerID: string) =>
+    partialRenderer.getPortalMarkup(containerID);
+  return stream;
+}
+
+/**
+ * Render a ReactElement to a ReadableStream of UTF-8 encoded HTML. This should
+ * only be used on the server.
+ */
+export function renderToReadableStream(
+  element: mixed,
+  options?: WebStreamOptions,
+): MarkupReadableStream {
+  return createMarkupReadableStream(element, false, options);
+}
@@ -8,17 +8,30 @@
  */
 
 import type {ThreadID} from './ReactThreadIDAllocator';
+import type {HydrationCursor} from '../client/ReactDOMHydration';
+import type {URLPolicy} from '../shared/sanitizeURL';
+import type {SanitizeHTML} from './sanitizeHTML';
+import type {CustomElementRenderers} from './ReactDOMServerCustomElements';
+import type {BootstrapScript} from './ReactDOMServerDocument';
+import type {
+  ComponentCache,
+  CachedSubtree,
+  ContextDependency,
+} from './ReactDOMServerComponentCache';
+import type {ServerRenderProfile} from './ReactDOMServerProfiler';
 import type {ReactElement} from 'shared/ReactElementType';
 import type {LazyComponent} from 'react/src/ReactLazy';
 import type {ReactProvider, ReactContext} from 'shared/ReactTypes';
 
 import * as React from 'react';
 import invariant from 'shared/invariant';
+import is from 'shared/objectIs';
 import getComponentName from 'shared/getComponentName';
 import {describeUnknownElementTypeFrameInDEV} from 'shared/ReactComponentStackFrame';
 import ReactSharedInternals from 'shared/ReactSharedInternals';
 import {
   warnAboutDeprecatedLifecycles,
+  disableLegacyContext,
   enableSuspenseServerRenderer,
   enableFundamentalAPI,
   enableScopeAPI,
@@ -40,6 +53,7 @@ import {
   REACT_FUNDAMENTAL_TYPE,
   REACT_SCOPE_TYPE,
   REACT_LEGACY_HIDDEN_TYPE,
+  REACT_SHADOW_ROOT_TYPE,
 } from 'shared/ReactSymbols';
 
 import {
@@ -59,8 +73,29 @@ import {
   finishHooks,
   resetHooksState,
   Dispatcher,
+  currentPartialRenderer,
   setCurrentPartialRenderer,
 } from './ReactPartialRendererHooks';
+import {
+  getBoundaryID,
+  getSegmentID,
+  createPendingBoundaryMarkup,
+  createClientRenderBoundaryMarkup,
+  createSegmentOpenMarkup,
+  createSegmentCloseMarkup,
+} from './ReactDOMServerInstructions';
+import {
+  createShadowRootOpenMarkup,
+  createShadowRootCloseMarkup,
+  createShadowRootStyleMarkup,
+  getCustomElementShadowRootMarkup,
+} from './ReactDOMServerCustomElements';
+import {DOCTYPE, createBootstrapMarkup} from './ReactDOMServerDocument';
+import RenderLimitError from './RenderLimitError';
+import {getComponentCacheID} from './ReactDOMServerComponentCache';
+import ServerRenderProfiler from './ReactDOMServerProfiler';
+import {rawTextTags} from './sanitizeHTML';
+import type {RenderLimit} from './RenderLimitError';
 import {
   Namespaces,
   getIntrinsicNamespace,
@@ -69,6 +104,7 @@ import {
 import {checkControlledValueProps} from '../shared/ReactControlledValuePropTypes';
 import assertValidProps from '../shared/assertValidProps';
 import dangerousStyleValue from '../shared/dangerousStyleValue';
+import omittedCloseTags from '../shared/omittedCloseTags';
 import hyphenateStyleName from '../shared/hyphenateStyleName';
 import isCustomComponentFn from '../shared/isCustomComponent';
 import warnValidStyle from '../shared/warnValidStyle';
@@ -78,6 +114,95 @@ import {validateProperties as validateUnknownProperties} from '../shared/ReactDO
 
 export type ServerOptions = {
   identifierPrefix?: string,
+  // Only used by the async renderers. How long, in milliseconds, to wait for
+  // suspended data before emitting the closest Suspense fallback instead.
+  // The string renderers wait 5 seconds by default. The streams don't wait
+  // at all unless this or `outOfOrderStreaming` is passed.
+  suspenseTimeout?: number,
+  // Only used by the async renderers. Flush the fallback of a boundary whose
+  // content isn't ready yet and stream the content later, out of order. If
+  // the content throws, the client renders the boundary instead.
+  outOfOrderStreaming?: boolean,
+  // Only used by the async renderers. Render in slices of about this many
+  // milliseconds, yielding to the event loop in between, so that one big
+  // page doesn't hold up every other request on the same thread.
+  timeSlice?: number,
+  // Added to every inline <script> emitted by the renderer.
+  nonce?: string,
+  // Called with errors that were caught by an error boundary, and with URLs
+  // rejected by the URL policy, along with the component stack (in DEV) at
+  // the point where they happened.
+  onError?: (error: mixed, componentStack: string) => void,
+  // For pages served under a strict Content-Security-Policy. `style` props
+  // become generated class names, collected into a stylesheet, and inline
+  // event handler attributes on custom elements are dropped.
+  strictCSP?: boolean,
+  // Replaces the javascript: URL check for href, src and other URL props.
+  urlPolicy?: URLPolicy,
+  // Only accept Trusted Types (TrustedHTML, TrustedScriptURL) in
+  // dangerouslySetInnerHTML and URL props, rejecting raw strings. They're
+  // recognized by the `trustedTypes` global, so the server needs a polyfill.
+  requireTrustedTypes?: boolean,
+  // Called with every dangerouslySetInnerHTML.__html before it's written out,
+  // except the script and CSS of <script> and <style>, which aren't HTML.
+  // `sanitizeHTML` from react-dom/server is a built-in allow-list sanitizer.
+  sanitizeHTML?: SanitizeHTML,
+  // Renderers for custom elements, by tag name (or `is` name). The markup one
+  // returns becomes the element's declarative shadow root.
+  customElements?: CustomElementRenderers,
+  // Take <title>, <meta> and <link> elements out of wherever they're
+  // rendered so that they can go into the document head. When the root is an
+  // <html> element, they're injected before its </head>.
+  hoistHeadResources?: boolean,
+  // Scripts that start the client, emitted right before </body> (or at the
+  // end, without a <body>). They get the `nonce`, and their own `integrity`
+  // when they're passed as objects.
+  bootstrapScripts?: Array<BootstrapScript>,
+  bootstrapModules?: Array<BootstrapScript>,
+  bootstrapScriptContent?: string,
+  // Limits that stop a runaway render. Going over one destroys the renderer
+  // and throws a RenderLimitError.
+  maxElements?: number,
+  // In characters of markup, including markup that was thrown away later.
+  maxBytes?: number,
+  // How deeply host elements, fragments, providers etc. can be nested.
+  maxDepth?: number,
+  // In milliseconds. Only the time spent rendering counts, not the time
+  // spent waiting on suspended data or on the consumer of a stream.
+  timeLimit?: number,
+  // Reuses the markup of memo components that have a `cacheKey(props)`
+  // function, keyed by what it returns and by the context values they read.
+  // The markup also depends on the other options, so a cache should only be
+  // shared by renderers with the same ones.
+  componentCache?: ComponentCache,
+  // Profiles the render, and is called with the result once it's done. The
+  // time spent and the bytes emitted are attributed to the component types
+  // that rendered them, as a tree and as Chrome trace events.
+  onProfile?: (profile: ServerRenderProfile) => void,
+};
+
+// A cacheable subtree whose markup is being rendered.
+type CacheRecording = {|
+  key: string,
+  // Values of contexts provided above this index are read from outside of
+  // the subtree.
+  contextIndex: number,
+  contextDependencies: Array<ContextDependency>,
+  // Set when something makes the markup unsafe to reuse, like a suspended
+  // child or a generated ID.
+  tainted: boolean,
+|};
+
+// A component with a getDerivedStateFromError. The type isn't always the
+// instance's constructor, since module pattern components can be one too.
+type ErrorBoundary = {|
+  instance: React$Component<any, any>,
+  type: any,
+|};
+
+type Thenable = {
+  then(resolve: () => mixed, reject?: () => mixed): mixed,
+  ...
 };
 
 // Based on reading the React.Children implementation. TODO: type this somewhere?
@@ -96,10 +221,12 @@ const ReactCurrentDispatcher = ReactSharedInternals.ReactCurrentDispatcher;
 let ReactDebugCurrentFrame;
 let prevGetCurrentStackImpl = null;
 let getCurrentServerStackImpl = () => '';
+let getCurrentComponentName = () => 'A component';
 let describeStackFrame = element => '';
 
 let validatePropertiesInDevelopment = (type, props) => {};
 let pushCurrentDebugStack = (stack: Array<Frame>) => {};
+let pushElementToDebugStack = (element: ReactElement) => {};
 let popCurrentDebugStack = () => {};
 
 if (__DEV__) {
@@ -153,6 +280,26 @@ if (__DEV__) {
     }
   };
 
+  getCurrentComponentName = function(): string {
+    if (currentDebugStacks.length === 0) {
+      return 'A component';
+    }
+    const frames = currentDebugStacks[currentDebugStacks.length - 1];
+    for (let i = frames.length - 1; i >= 0; i--) {
+      const debugElementStack = ((frames[i]: any): FrameDev).debugElementStack;
+      for (let ii = debugElementStack.length - 1; ii >= 0; ii--) {
+        const type = debugElementStack[ii].type;
+        if (typeof type !== 'string') {
+          const name = getComponentName(type);
+          if (name) {
+            return name;
+          }
+        }
+      }
+    }
+    return 'A component';
+  };
+
   getCurrentServerStackImpl = function(): string {
     if (currentDebugStacks.length === 0) {
       // Nothing is currently rendering.
@@ -182,6 +329,10 @@ let didWarnDefaultChecked = false;
 let didWarnDefaultSelectValue = false;
 let didWarnDefaultTextareaValue = false;
 let didWarnInvalidOptionChildren = false;
+let didWarnAboutShadowRootStylesWithoutNonce = false;
+let didWarnAboutOutOfOrderStreamingWithoutNonce = false;
+const didWarnAboutDroppedEventHandler = {};
+let hasWarnedAboutUsingContextAsConsumer = false;
 const didWarnAboutNoopUpdateForComponent = {};
 const didWarnAboutBadClass = {};
 const didWarnAboutModulePatternComponent = {};
@@ -200,6 +351,19 @@ const newlineEatingTags = {
 // http://www.w3.org/TR/REC-xml/#NT-Name
 const VALID_TAG_REGEX = /^[a-zA-Z][a-zA-Z:_\.\-\d]*$/; // Simplified subset
 const validatedTagCache = {};
+
+// Keeps style values from closing the rule or the <style> tag they end up in.
+const UNSAFE_STYLE_SHEET_CHARS_REGEX = /[<>{}]/g;
+function escapeStyleDeclarations(declarations: string): string {
+  return declarations.replace(
+    UNSAFE_STYLE_SHEET_CHARS_REGEX,
+    char => '\\' + char.charCodeAt(0).toString(16) + ' ',
+  );
+}
+
+// Portal container IDs end up inside <!--p:ID--> comments, so they can't
+// contain "--" or ">".
+const VALID_PORTAL_CONTAINER_ID_REGEX = /^[a-zA-Z0-9_:.]+(-[a-zA-Z0-9_:.]+)*$/;
 function validateDangerousTag(tag) {
   if (!validatedTagCache.hasOwnProperty(tag)) {
     invariant(VALID_TAG_REGEX.test(tag), 'Invalid tag: %s', tag);
@@ -277,11 +441,19 @@ function shouldConstruct(Component) {
   return Component.prototype && Component.prototype.isReactComponent;
 }
 
-function getNonChildrenInnerMarkup(props) {
+function getNonChildrenInnerMarkup(
+  tag: string,
+  props: Object,
+  sanitizeHTML: SanitizeHTML | null,
+) {
   const innerHTML = props.dangerouslySetInnerHTML;
   if (innerHTML != null) {
     if (innerHTML.__html != null) {
-      return innerHTML.__html;
+      // TrustedHTML stringifies to the markup it wraps.
+      const html = '' + innerHTML.__html;
+      return sanitizeHTML !== null && !rawTextTags.hasOwnProperty(tag)
+        ? sanitizeHTML(html, {tag, props})
+        : html;
     }
   } else {
     const content = props.children;
@@ -336,6 +508,60 @@ function flattenOptionChildren(children: mixed): ?string {
   return content;
 }
 
+function flattenTitleChildren(children: mixed): string {
+  let content = '';
+  const flatChildren = toArray(children);
+  for (let i = 0; i < flatChildren.length; i++) {
+    const child = flatChildren[i];
+    if (typeof child === 'string' || typeof child === 'number') {
+      content += child;
+    }
+  }
+  return content;
+}
+
+// Elements that belong in the document head, wherever they're rendered.
+// Microdata (itemProp) is the one use of <meta> and <link> in the body.
+function isHeadResource(tag: string, props: Object): boolean {
+  return (
+    (tag === 'title' || tag === 'meta' || tag === 'link') &&
+    props.itemProp == null
+  );
+}
+
+// Head resources with the same key are only emitted once: the first one wins.
+function getHeadResourceKey(tag: string, props: Object): string | null {
+  switch (tag) {
+    case 'title':
+      return 'title';
+    case 'link':
+      return typeof props.href === 'string' ? 'link:' + props.href : null;
+    case 'meta':
+      if (props.charSet != null) {
+        return 'meta:charset';
+      }
+      if (props.name != null) {
+        return 'meta:name:' + props.name;
+      }
+      if (props.property != null) {
+        return 'meta:property:' + props.property;
+      }
+      if (props.httpEquiv != null) {
+        return 'meta:http-equiv:' + props.httpEquiv;
+      }
+      return null;
+  }
+  return null;
+}
+
+// Where the renderer is in the <head> of an <html> document.
+const HEAD_NOT_RENDERED = 0;
+const HEAD_OPEN = 1;
+// The </head> is held back until the chunk it's in is returned, so that
+// resources found further down can still be injected before it.
+const HEAD_CLOSE_PENDING = 2;
+const HEAD_FLUSHED = 3;
+
 const hasOwnProperty = Object.prototype.hasOwnProperty;
 const STYLE = 'style';
 const RESERVED_PROPS = {
@@ -352,6 +578,8 @@ function createOpenTagMarkup(
   namespace: string,
   makeStaticMarkup: boolean,
   isRootElement: boolean,
+  urlPolicy: URLPolicy | null,
+  onURLPolicyViolation: (error: Error) => void,
 ): string {
   let ret = '<' + tagVerbatim;
 
@@ -374,7 +602,13 @@ function createOpenTagMarkup(
         markup = createMarkupForCustomAttribute(propKey, propValue);
       }
     } else {
-      markup = createMarkupForProperty(propKey, propValue);
+      markup = createMarkupForProperty(
+        propKey,
+        propValue,
+        tagLowercase,
+        urlPolicy,
+        onURLPolicyViolation,
+      );
     }
     if (markup) {
       ret += ' ' + markup;
@@ -412,8 +646,15 @@ function resolve(
 ): {|
   child: mixed,
   context: Object,
+  errorBoundary: ErrorBoundary | null,
 |} {
+  // Set when we resolve a class that can catch errors. We stop there so that
+  // the boundary gets a frame of its own to unwind to.
+  let errorBoundary = null;
   while (React.isValidElement(child)) {
+    // Components are resolved here without going back to the read() loop, so
+    // this is where a component that keeps rendering itself gets stopped.
+    currentPartialRenderer.countElement();
     // Safe because we just checked it's an element.
     const element: ReactElement = (child: any);
     const Component = element.type;
@@ -423,21 +664,349 @@ function resolve(
     if (typeof Component !== 'function') {
       break;
     }
+    const profiler = currentPartialRenderer.profiler;
+    if (profiler !== null) {
+      profiler.startComponent(Component);
+    }
     processChild(element, Component);
+    if (profiler !== null) {
+      profiler.stopComponentRender();
+    }
+    if (errorBoundary !== null) {
+      break;
+    }
   }
 
   // Extra closure so queue and replace can be captured properly
   function processChild(element, Component) {
     const isClass = shouldConstruct(Component);
-    const publicContext = processContext
+    const publicContext = processContext(Component, context, threadID, isClass);
+    const contextType = Component.contextType;
+    if (isClass && typeof contextType === 'object' && contextType !== null) {
+      currentPartialRenderer.recordContextRead(contextType, publicContext);
+    }
+
+    let queue = [];
+    let replace = false;
+    const updater = {
+      isMounted: function(publicInstance) {
+        return false;
+      },
+      enqueueForceUpdate: function(publicInstance) {
+        if (queue === null) {
+          warnNoop(publicInstance, 'forceUpdate');
+          return null;
+        }
+      },
+      enqueueReplaceState: function(publicInstance, completeState) {
+        replace = true;
+        queue = [completeState];
+      },
+      enqueueSetState: function(publicInstance, currentPartialState) {
+        if (queue === null) {
+          warnNoop(publicInstance, 'setState');
+          return null;
+        }
+        queue.push(currentPartialState);
+      },
+    };
+
+    let inst;
+    if (isClass) {
+      inst = new Component(element.props, publicContext, updater);
+    } else {
+      if (__DEV__) {
+        if (
+          Component.prototype &&
+          typeof Component.prototype.render === 'function'
+        ) {
+          const componentName = getComponentName(Component) || 'Unknown';
+
+          if (!didWarnAboutBadClass[componentName]) {
+            console.error(
+              "The <%s /> component appears to have a render method, but doesn't extend React.Component. " +
+                'This is likely to cause errors. Change %s to extend React.Component instead.',
+              componentName,
+              componentName,
+            );
+            didWarnAboutBadClass[componentName] = true;
+          }
+        }
+      }
+      const componentIdentity = {};
+      prepareToUseHooks(componentIdentity);
+      inst = Component(element.props, publicContext, updater);
+      inst = finishHooks(Component, element.props, inst, publicContext);
+
+      if (inst == null || inst.render == null) {
+        child = inst;
+        validateRenderResult(child, Component);
+        return;
+      }
+
+      // A function that returns an object with a render method is a module
+      // pattern component. We treat it as a class instance from here on.
+      if (__DEV__) {
+        const componentName = getComponentName(Component) || 'Unknown';
+        if (!didWarnAboutModulePatternComponent[componentName]) {
+          console.error(
+            'The <%s /> component appears to be a function component that returns a class instance. ' +
+              'Change %s to a class that extends React.Component instead. ' +
+              "If you can't use a class try assigning the prototype on the function as a workaround. " +
+              "`%s.prototype = React.Component.prototype`. Don't use an arrow function since it " +
+              'cannot be called with `new` by React.',
+            componentName,
+            componentName,
+            componentName,
+          );
+          didWarnAboutModulePatternComponent[componentName] = true;
+        }
+      }
+    }
+
+    // Module pattern components get the same static lifecycles as classes.
+    if (typeof Component.getDerivedStateFromError === 'function') {
+      errorBoundary = {instance: inst, type: Component};
+    }
+
+    if (typeof Component.getDerivedStateFromProps === 'function') {
+      if (__DEV__) {
+        if (inst.state === null || inst.state === undefined) {
+          const componentName = getComponentName(Component) || 'Unknown';
+          if (!didWarnAboutUninitializedState[componentName]) {
+            console.error(
+              '`%s` uses `getDerivedStateFromProps` but its initial state is ' +
+                '%s. This is not recommended. Instead, define the initial state by ' +
+                'assigning an object to `this.state` in the constructor of `%s`. ' +
+                'This ensures that `getDerivedStateFromProps` arguments have a consistent shape.',
+              componentName,
+              inst.state === null ? 'null' : 'undefined',
+              componentName,
+            );
+            didWarnAboutUninitializedState[componentName] = true;
+          }
+        }
+      }
+
+      const partialState = Component.getDerivedStateFromProps.call(
+        null,
+        element.props,
+        inst.state,
+      );
+
+      if (__DEV__) {
+        if (partialState === undefined) {
+          const componentName = getComponentName(Component) || 'Unknown';
+          if (!didWarnAboutUndefinedDerivedState[componentName]) {
+            console.error(
+              '%s.getDerivedStateFromProps(): A valid state object (or null) must be returned. ' +
+                'You have returned undefined.',
+              componentName,
+            );
+            didWarnAboutUndefinedDerivedState[componentName] = true;
+          }
+        }
+      }
+
+      if (partialState != null) {
+        inst.state = Object.assign({}, inst.state, partialState);
+      }
+    }
+
+    inst.props = element.props;
+    inst.context = publicContext;
+    inst.updater = updater;
+
+    let initialState = inst.state;
+    if (initialState === undefined) {
+      inst.state = initialState = null;
+    }
+    if (
+      typeof inst.UNSAFE_componentWillMount === 'function' ||
+      typeof inst.componentWillMount === 'function'
+    ) {
+      if (typeof inst.componentWillMount === 'function') {
+        if (__DEV__) {
+          if (
+            warnAboutDeprecatedLifecycles &&
+            inst.componentWillMount.__suppressDeprecationWarning !== true
+          ) {
+            const componentName = getComponentName(Component) || 'Unknown';
+
+            if (!didWarnAboutDeprecatedWillMount[componentName]) {
+              console.warn(
+                // keep this warning in sync with ReactStrictModeWarning.js
+                'componentWillMount has been renamed, and is not recommended for use. ' +
+                  'See https://reactjs.org/link/unsafe-component-lifecycles for details.\n\n' +
+                  '* Move code from componentWillMount to componentDidMount (preferred in most cases) ' +
+                  'or the constructor.\n' +
+                  '\nPlease update the following components: %s',
+                componentName,
+              );
+              didWarnAboutDeprecatedWillMount[componentName] = true;
+            }
+          }
+        }
+
+        // In order to support react-lifecycles-compat polyfilled components,
+        // Unsafe lifecycles should not be invoked for any component with the new gDSFP.
+        if (typeof Component.getDerivedStateFromProps !== 'function') {
+          inst.componentWillMount();
+        }
+      }
+      if (
+        typeof inst.UNSAFE_componentWillMount === 'function' &&
+        typeof Component.getDerivedStateFromProps !== 'function'
+      ) {
+        // In order to support react-lifecycles-compat polyfilled components,
+        // Unsafe lifecycles should not be invoked for any component with the new gDSFP.
+        inst.UNSAFE_componentWillMount();
+      }
+      if (queue.length) {
+        const oldQueue = queue;
+        const oldReplace = replace;
+        queue = null;
+        replace = false;
+
+        if (oldReplace && oldQueue.length === 1) {
+          inst.state = oldQueue[0];
+        } else {
+          let nextState = oldReplace ? oldQueue[0] : inst.state;
+          let dontMutate = true;
+          for (let i = oldReplace ? 1 : 0; i < oldQueue.length; i++) {
+            const partial = oldQueue[i];
+            const partialState =
+              typeof partial === 'function'
+                ? partial.call(inst, nextState, element.props, publicContext)
+                : partial;
+            if (partialState != null) {
+              if (dontMutate) {
+                dontMutate = false;
+                nextState = Object.assign({}, nextState, partialState);
+              } else {
+                Object.assign(nextState, partialState);
+              }
+            }
+          }
+          inst.state = nextState;
+        }
+      } else {
+        queue = null;
+      }
+    }
+    child = inst.render();
+
+    if (__DEV__) {
+      if (child === undefined && inst.render._isMockFunction) {
+        // This is probably bad practice. Consider warning here and
+        // deprecating this convenience.
+        child = null;
+      }
+    }
+    validateRenderResult(child, Component);
+
+    let childContext;
+    if (disableLegacyContext) {
+      if (__DEV__) {
+        const childContextTypes = Component.childContextTypes;
+        if (childContextTypes !== undefined) {
+          console.error(
+            '%s uses the legacy childContextTypes API which is no longer supported. ' +
+              'Use React.createContext() instead.',
+            getComponentName(Component) || 'Unknown',
+          );
+        }
+      }
+    } else {
+      if (typeof inst.getChildContext === 'function') {
+        const childContextTypes = Component.childContextTypes;
+        if (typeof childContextTypes === 'object') {
+          childContext = inst.getChildContext();
+          for (const contextKey in childContext) {
+            invariant(
+              contextKey in childContextTypes,
+              '%s.getChildContext(): key "%s" is not defined in childContextTypes.',
+              getComponentName(Component) || 'Unknown',
+              contextKey,
+            );
+          }
+        } else {
+          if (__DEV__) {
+            console.error(
+              '%s.getChildContext(): childContextTypes must be defined in order to ' +
+                'use getChildContext().',
+              getComponentName(Component) || 'Unknown',
+            );
+          }
+        }
+      }
+      if (childContext) {
+        context = Object.assign({}, context, childContext);
+      }
+    }
   }
+  return {child, context, errorBoundary};
 }
 
+// A Suspense boundary whose fallback has been flushed. Its content is
+// rendered again from scratch once the data it was waiting for resolves.
+type DeferredBoundary = {
+  id: number,
+  children: FlatReactChildren,
+  context: Object,
+  domNamespace: string,
+  idScope: string,
+  // Providers that were active around the boundary, outermost first.
+  providers: Array<ReactProvider<any>>,
+  thenable: Thenable,
+  ready: boolean,
+};
+
+// What the content of a Suspense or error boundary rendered out of band. It's
+// only kept if the content is, and moves to the enclosing boundary (or the
+// renderer) once the boundary completes.
+type BoundaryResources = {|
+  portalMarkup: {[containerID: string]: string},
+  headResources: Array<{|key: string | null, markup: string|}>,
+  // The head resource keys claimed inside, to give back if it's thrown away.
+  headResourceKeys: Array<string>,
+|};
+
+function appendPortalMarkup(
+  portalMarkup: {[containerID: string]: string},
+  containerID: string,
+  markup: string,
+): void {
+  if (portalMarkup.hasOwnProperty(containerID)) {
+    portalMarkup[containerID] += markup;
+  } else {
+    portalMarkup[containerID] = markup;
+  }
+}
+
+// Where useOpaqueIdentifier was in the enclosing scope, to carry on from
+// there once a frame that opened a new one is popped.
+type IDScope = {|
+  scope: string,
+  uniqueID: number,
+|};
+
 type Frame = {
   type: mixed,
   domNamespace: string,
   children: FlatReactChildren,
   fallbackFrame?: Frame,
+  // The ID scope that the children of a Suspense frame or its fallback render
+  // in, and the one to restore after them.
+  idScope?: string,
+  parentIDScope?: IDScope,
+  deferredBoundary?: DeferredBoundary,
+  errorBoundary?: ErrorBoundary,
+  portalContainerID?: string,
+  cacheRecording?: CacheRecording,
+  // The number of profiled components that were open before the ones that
+  // rendered this frame's children. They're finished when it's popped.
+  profileOpenCount?: number,
   childIndex: number,
   context: Object,
   footer: string,
@@ -455,6 +1024,14 @@ class ReactDOMServerRenderer {
   previousWasTextNode: boolean;
   makeStaticMarkup: boolean;
   suspenseDepth: number;
+  // Markup inside Suspense and error boundaries is buffered until we know the
+  // boundary completed. This is the number of buffers currently open.
+  bufferDepth: number;
+  onError: ((error: mixed, componentStack: string) => void) | void;
+  // Markup rendered into portals, by container ID.
+  portalMarkup: {[containerID: string]: string};
+  // One for every Suspense and error boundary that's currently open.
+  boundaryResources: Array<BoundaryResources>;
 
   contextIndex: number;
   contextStack: Array<ReactContext<any>>;
@@ -462,8 +1039,68 @@ class ReactDOMServerRenderer {
   contextProviderStack: ?Array<ReactProvider<any>>; // DEV-only
 
   uniqueID: number;
+  idScope: string;
   identifierPrefix: string;
 
+  // Async Suspense. While the deadline hasn't passed, a suspended child parks
+  // the renderer on its thenable instead of switching to the fallback.
+  suspenseDeadline: number;
+  pendingThenable: Thenable | null;
+  // The timer that stops the wait for `pendingThenable` at the deadline.
+  suspenseTimeoutID: TimeoutID | null;
+  parkedSuspenseBuffers: Array<string>;
+  timeSlice: number;
+
+  // Out-of-order streaming of Suspense boundaries
+  outOfOrderStreaming: boolean;
+  nonce: string | void;
+  nextBoundaryID: number;
+  deferredBoundaries: Array<DeferredBoundary>;
+  didEmitCompleteBoundaryFunction: boolean;
+
+  // Set when hydrating. Gets told about every host node instead of relying
+  // on the markup.
+  hydrationCursor: HydrationCursor | null;
+
+  // Strict CSP mode. Maps each distinct set of style declarations to the
+  // class name generated for it.
+  strictCSP: boolean;
+  styleClassNames: {[declarations: string]: string};
+  nextStyleID: number;
+  styleSheet: string;
+
+  urlPolicy: URLPolicy | null;
+  requireTrustedTypes: boolean;
+  sanitizeHTML: SanitizeHTML | null;
+  customElements: CustomElementRenderers | null;
+
+  // Whether the root element is <html>.
+  isDocument: boolean;
+  // The markup of hoisted <title>, <meta> and <link> elements, or null when
+  // they're rendered in place.
+  headResources: Array<string> | null;
+  headResourceKeys: {[key: string]: boolean};
+  headState: number;
+  headCloseOffset: number;
+  // Emptied once it has been written out.
+  bootstrapMarkup: string;
+
+  maxElements: number;
+  maxBytes: number;
+  maxDepth: number;
+  timeLimit: number;
+  // How long previous reads took, and when the current one runs out of time.
+  renderTime: number;
+  renderDeadline: number;
+  elementCount: number;
+  byteCount: number;
+
+  componentCache: ComponentCache | null;
+  cacheRecordings: Array<CacheRecording>;
+
+  profiler: ServerRenderProfiler | null;
+  onProfile: ((profile: ServerRenderProfile) => void) | void;
+
   constructor(
     children: mixed,
     makeStaticMarkup: boolean,
@@ -491,6 +1128,10 @@ class ReactDOMServerRenderer {
     this.previousWasTextNode = false;
     this.makeStaticMarkup = makeStaticMarkup;
     this.suspenseDepth = 0;
+    this.bufferDepth = 0;
+    this.onError = options ? options.onError : undefined;
+    this.portalMarkup = {};
+    this.boundaryResources = [];
 
     // Context (new API)
     this.contextIndex = -1;
@@ -499,19 +1140,159 @@ class ReactDOMServerRenderer {
 
     // useOpaqueIdentifier ID
     this.uniqueID = 0;
+    this.idScope = '';
     this.identifierPrefix = (options && options.identifierPrefix) || '';
 
+    // Async Suspense. A deadline of -1 means we always fall back synchronously.
+    this.suspenseDeadline = -1;
+    this.pendingThenable = null;
+    this.suspenseTimeoutID = null;
+    this.parkedSuspenseBuffers = [];
+    this.timeSlice =
+      options && options.timeSlice != null ? options.timeSlice : Infinity;
+
+    // Out-of-order streaming of Suspense boundaries
+    this.outOfOrderStreaming = !!(options && options.outOfOrderStreaming);
+    this.nonce = options ? options.nonce : undefined;
+    this.nextBoundaryID = 0;
+    this.deferredBoundaries = [];
+    this.didEmitCompleteBoundaryFunction = false;
+
+    this.hydrationCursor = null;
+
+    this.strictCSP = !!(options && options.strictCSP);
+    this.styleClassNames = {};
+    this.nextStyleID = 0;
+    this.styleSheet = '';
+
+    this.urlPolicy = (options && options.urlPolicy) || null;
+    this.requireTrustedTypes = !!(options && options.requireTrustedTypes);
+    this.sanitizeHTML = (options && options.sanitizeHTML) || null;
+    this.customElements = (options && options.customElements) || null;
+
+    this.isDocument = false;
+    this.headResources = options && options.hoistHeadResources ? [] : null;
+    this.headResourceKeys = {};
+    this.headState = HEAD_NOT_RENDERED;
+    this.headCloseOffset = -1;
+    this.bootstrapMarkup = createBootstrapMarkup(options);
+
+    this.maxElements =
+      options && options.maxElements != null ? options.maxElements : Infinity;
+    this.maxBytes =
+      options && options.maxBytes != null ? options.maxBytes : Infinity;
+    this.maxDepth =
+      options && options.maxDepth != null ? options.maxDepth : Infinity;
+    this.timeLimit =
+      options && options.timeLimit != null ? options.timeLimit : Infinity;
+    this.renderTime = 0;
+    // Set at the start of each read().
+    this.renderDeadline = Infinity;
+    this.elementCount = 0;
+    this.byteCount = 0;
+
+    this.componentCache = (options && options.componentCache) || null;
+    this.cacheRecordings = [];
+
+    this.onProfile = options ? options.onProfile : undefined;
+    this.profiler =
+      this.onProfile !== undefined
+        ? new ServerRenderProfiler(this.threadID)
+        : null;
+
+    if (__DEV__) {
+      if (
+        this.strictCSP &&
+        this.outOfOrderStreaming &&
+        this.nonce == null &&
+        !didWarnAboutOutOfOrderStreamingWithoutNonce
+      ) {
+        didWarnAboutOutOfOrderStreamingWithoutNonce = true;
+        console.error(
+          'Out-of-order streaming emits inline scripts, which a strict ' +
+            'Content-Security-Policy will block unless you also pass a `nonce`.',
+        );
+      }
+    }
+
     if (__DEV__) {
       this.contextProviderStack = [];
     }
   }
 
+  countElement(): void {
+    this.elementCount++;
+    if (this.elementCount > this.maxElements) {
+      this.abortRender(
+        'elements',
+        'Rendering was aborted because it rendered more than ' +
+          this.maxElements +
+          ' elements.',
+      );
+    }
+    this.checkTimeLimit();
+  }
+
+  checkRenderLimits(bytes: number): void {
+    this.byteCount += bytes;
+    if (this.byteCount > this.maxBytes) {
+      this.abortRender(
+        'bytes',
+        'Rendering was aborted because it produced more than ' +
+          this.maxBytes +
+          ' bytes of markup.',
+      );
+    }
+    if (this.stack.length > this.maxDepth) {
+      this.abortRender(
+        'depth',
+        'Rendering was aborted because the tree was nested more than ' +
+          this.maxDepth +
+          ' levels deep.',
+      );
+    }
+    this.checkTimeLimit();
+  }
+
+  checkTimeLimit(): void {
+    if (this.timeLimit !== Infinity && Date.now() > this.renderDeadline) {
+      this.abortRender(
+        'time',
+        'Rendering was aborted because it took longer than ' +
+          this.timeLimit +
+          'ms.',
+      );
+    }
+  }
+
+  abortRender(limit: RenderLimit, message: string): empty {
+    let componentStack;
+    if (__DEV__) {
+      componentStack = getCurrentServerStackImpl();
+    } else {
+      // Without the DEV element stacks, the host elements are all we know.
+      componentStack = '';
+      for (let i = this.stack.length - 1; i >= 0; i--) {
+        const type = this.stack[i].type;
+        if (typeof type === 'string') {
+          componentStack += '\n    in ' + type;
+        }
+      }
+    }
+    this.destroy();
+    throw new RenderLimitError(limit, message, componentStack);
+  }
+
   destroy() {
     if (!this.exhausted) {
       this.exhausted = true;
       this.clearProviders();
       freeThreadID(this.threadID);
     }
+    if (this.suspenseTimeoutID !== null) {
+      clearTimeout(this.suspenseTimeoutID);
+      this.suspenseTimeoutID = null;
+    }
   }
 
   /**
@@ -570,6 +1351,348 @@ class ReactDOMServerRenderer {
     context[this.threadID] = previousValue;
   }
 
+  /**
+   * Opts into async Suspense resolution until `deadline` (a Date.now()
+   * timestamp). When a child suspends before then, read() returns early and
+   * exposes the thenable as `pendingThenable`. Once it settles the caller
+   * should call read() again, which retries that same child.
+   */
+  setSuspenseDeadline(deadline: number): void {
+    this.suspenseDeadline = deadline;
+  }
+
+  canWaitForSuspense(): boolean {
+    return this.suspenseDeadline !== -1 && Date.now() < this.suspenseDeadline;
+  }
+
+  deferBoundary(
+    boundary: DeferredBoundary | null,
+    frame: Frame,
+    thenable: Thenable,
+  ): DeferredBoundary {
+    let deferredBoundary = boundary;
+    if (deferredBoundary === null) {
+      const providers = [];
+      for (let index = 0; index <= this.contextIndex; index++) {
+        const context: ReactContext<any> = this.contextStack[index];
+        // We can't keep the provider elements themselves around since they're
+        // only tracked in DEV. A stand-in carrying the current value will do.
+        providers.push(
+          ({
+            type: context.Provider,
+            props: {value: context[this.threadID]},
+          }: any),
+        );
+      }
+      deferredBoundary = {
+        id: this.nextBoundaryID++,
+        children: frame.children,
+        context: frame.context,
+        domNamespace: frame.domNamespace,
+        idScope: (frame.idScope: any),
+        providers,
+        thenable,
+        ready: false,
+      };
+    } else {
+      deferredBoundary.thenable = thenable;
+      deferredBoundary.ready = false;
+    }
+    const ping = () => {
+      (deferredBoundary: any).ready = true;
+    };
+    thenable.then(ping, ping);
+    this.deferredBoundaries.push(deferredBoundary);
+    return deferredBoundary;
+  }
+
+  takeDeferredBoundary(): DeferredBoundary | null {
+    const deferredBoundaries = this.deferredBoundaries;
+    for (let i = 0; i < deferredBoundaries.length; i++) {
+      if (deferredBoundaries[i].ready) {
+        return deferredBoundaries.splice(i, 1)[0];
+      }
+    }
+    if (!this.canWaitForSuspense()) {
+      // We're out of time. Retry anyway so that whatever is ready by now
+      // still gets streamed.
+      return deferredBoundaries.shift();
+    }
+    return null;
+  }
+
+  pushDeferredBoundary(boundary: DeferredBoundary): string {
+    const providers = boundary.providers;
+    for (let i = 0; i < providers.length; i++) {
+      this.pushProvider(providers[i]);
+    }
+    const frame: Frame = {
+      type: REACT_SUSPENSE_TYPE,
+      deferredBoundary: boundary,
+      domNamespace: boundary.domNamespace,
+      children: boundary.children,
+      idScope: boundary.idScope,
+      parentIDScope: this.enterIDScope(boundary.idScope),
+      childIndex: 0,
+      context: boundary.context,
+      footer: '',
+    };
+    if (__DEV__) {
+      ((frame: any): FrameDev).debugElementStack = [];
+    }
+    this.stack.push(frame);
+    this.suspenseDepth++;
+    this.bufferDepth++;
+    this.pushBoundaryResources();
+    this.previousWasTextNode = false;
+    return createSegmentOpenMarkup(
+      getSegmentID(this.identifierPrefix, boundary.id),
+    );
+  }
+
+  // Components inside a Suspense boundary get IDs relative to the boundary,
+  // so that they're the same whether it waited for its content, fell back or
+  // was streamed later. Returns the scope to restore afterwards.
+  enterIDScope(scope: string): IDScope {
+    const parentIDScope = {scope: this.idScope, uniqueID: this.uniqueID};
+    this.idScope = scope;
+    this.uniqueID = 0;
+    return parentIDScope;
+  }
+
+  popDeferredBoundary(boundary: DeferredBoundary): void {
+    const providers = boundary.providers;
+    for (let i = providers.length - 1; i >= 0; i--) {
+      this.popProvider(providers[i]);
+    }
+  }
+
+  /**
+   * Returns the markup that portals rendered into the container with this ID,
+   * once reading is done. The main output marks where each portal was placed
+   * with a <!--p:containerID--> comment.
+   */
+  getPortalMarkup(containerID: string): string {
+    return this.portalMarkup.hasOwnProperty(containerID)
+      ? this.portalMarkup[containerID]
+      : '';
+  }
+
+  pushBoundaryResources(): void {
+    this.boundaryResources.push({
+      portalMarkup: {},
+      headResources: [],
+      headResourceKeys: [],
+    });
+  }
+
+  // Called when a boundary is popped. Throws away what its content rendered
+  // out of band unless the content itself is kept. Returns the markup of head
+  // resources that have to go in place of the content because the head has
+  // already been flushed.
+  popBoundaryResources(completed: boolean): string {
+    const resources = this.boundaryResources.pop();
+    if (!completed) {
+      const headResourceKeys = resources.headResourceKeys;
+      for (let i = 0; i < headResourceKeys.length; i++) {
+        delete this.headResourceKeys[headResourceKeys[i]];
+      }
+      return '';
+    }
+    const parent =
+      this.boundaryResources.length > 0
+        ? this.boundaryResources[this.boundaryResources.length - 1]
+        : null;
+    const portalMarkup =
+      parent !== null ? parent.portalMarkup : this.portalMarkup;
+    for (const containerID in resources.portalMarkup) {
+      appendPortalMarkup(
+        portalMarkup,
+        containerID,
+        resources.portalMarkup[containerID],
+      );
+    }
+    const headResources = resources.headResources;
+    if (parent !== null) {
+      parent.headResources = parent.headResources.concat(headResources);
+      parent.headResourceKeys = parent.headResourceKeys.concat(
+        resources.headResourceKeys,
+      );
+      return '';
+    }
+    let headMarkup = '';
+    for (let i = 0; i < headResources.length; i++) {
+      const {key, markup} = headResources[i];
+      if (this.headState === HEAD_FLUSHED) {
+        headMarkup += markup;
+      } else {
+        this.addHeadResource(key, markup);
+      }
+    }
+    return headMarkup;
+  }
+
+  hoistHeadResource(
+    element: ReactElement,
+    tag: string,
+    props: Object,
+    key: string | null,
+  ): void {
+    let markup = createOpenTagMarkup(
+      element.type,
+      tag,
+      props,
+      Namespaces.html,
+      this.makeStaticMarkup,
+      false,
+      this.urlPolicy,
+      error => this.reportURLPolicyViolation(error),
+    );
+    if (tag === 'title') {
+      markup +=
+        '>' +
+        escapeTextForBrowser(flattenTitleChildren(props.children)) +
+        '</title>';
+    } else {
+      markup += '/>';
+    }
+    if (this.boundaryResources.length > 0) {
+      // It's only added once we know the boundary's content is kept.
+      this.boundaryResources[
+        this.boundaryResources.length - 1
+      ].headResources.push({key, markup});
+    } else {
+      this.addHeadResource(key, markup);
+    }
+  }
+
+  addHeadResource(key: string | null, markup: string): void {
+    const headResources = ((this.headResources: any): Array<string>);
+    if (key === 'meta:charset') {
+      // It has to be within the first 1024 bytes of the document.
+      headResources.unshift(markup);
+    } else {
+      headResources.push(markup);
+    }
+  }
+
+  /**
+   * Returns the markup of the <title>, <meta> and <link> elements that were
+   * hoisted out of the tree. For <html> documents, it's also injected at the
+   * end of the <head>.
+   */
+  getHeadMarkup(): string {
+    return this.headResources !== null ? this.headResources.join('') : '';
+  }
+
+  /**
+   * Returns the rules for the class names that replaced `style` props in
+   * strict CSP mode, once reading is done.
+   */
+  getStyleSheet(): string {
+    return this.styleSheet;
+  }
+
+  getStyleClassName(declarations: string): string {
+    // A cache hit wouldn't add the rule to the stylesheet.
+    this.taintCacheRecordings();
+    if (this.styleClassNames.hasOwnProperty(declarations)) {
+      return this.styleClassNames[declarations];
+    }
+    const className =
+      this.identifierPrefix + 'rs' + this.nextStyleID.toString(36);
+    this.nextStyleID++;
+    this.styleClassNames[declarations] = className;
+    this.styleSheet +=
+      '.' + className + '{' + escapeStyleDeclarations(declarations) + '}';
+    return className;
+  }
+
+  // Rewrites props so that nothing in the open tag needs 'unsafe-inline'.
+  applyStrictCSP(tag: string, props: Object): Object {
+    const isCustomComponent = isCustomComponentFn(tag, props);
+    let nextProps = props;
+    const declarations =
+      props.style != null ? createMarkupForStyles(props.style) : null;
+    if (declarations !== null) {
+      // Custom elements accept either spelling.
+      const classProp =
+        isCustomComponent && props.class != null ? 'class' : 'className';
+      const className = this.getStyleClassName(declarations);
+      nextProps = Object.assign({}, props, {
+        style: undefined,
+        [classProp]:
+          props[classProp] != null
+            ? props[classProp] + ' ' + className
+            : className,
+      });
+    }
+    if (isCustomComponent) {
+      for (const propKey in props) {
+        if (
+          hasOwnProperty.call(props, propKey) &&
+          propKey.length > 2 &&
+          propKey.slice(0, 2).toLowerCase() === 'on' &&
+          typeof props[propKey] === 'string'
+        ) {
+          if (__DEV__) {
+            const warningKey = tag + '.' + propKey;
+            if (!didWarnAboutDroppedEventHandler[warningKey]) {
+              didWarnAboutDroppedEventHandler[warningKey] = true;
+              console.error(
+                'Dropped the inline event handler `%s` on <%s> because the ' +
+                  'renderer is in strict CSP mode. Attach the listener from a ' +
+                  'script instead.',
+                propKey,
+                tag,
+              );
+            }
+          }
+          if (nextProps === props) {
+            nextProps = Object.assign({}, props);
+          }
+          nextProps[propKey] = undefined;
+        }
+      }
+    }
+    return nextProps;
+  }
+
+  reportURLPolicyViolation(error: Error): void {
+    if (this.onError !== undefined) {
+      this.onError(error, getCurrentServerStackImpl());
+    } else if (__DEV__) {
+      console.error('%s', error.message);
+    }
+  }
+
+  hasErrorBoundary(): boolean {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      const frame = this.stack[i];
+      // The shell has already been flushed by the time a deferred boundary
+      // renders, so it catches errors by handing itself to the client.
+      if (
+        frame.errorBoundary !== undefined ||
+        frame.deferredBoundary !== undefined
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  renderErrorState(boundary: ErrorBoundary, error: mixed): mixed {
+    const inst = boundary.instance;
+    const Component = boundary.type;
+    const partialState = Component.getDerivedStateFromError.call(null, error);
+    if (partialState != null) {
+      inst.state = Object.assign({}, inst.state, partialState);
+    }
+    const child = inst.render();
+    validateRenderResult(child, Component);
+    return child;
+  }
+
   clearProviders(): void {
     // Restore any remaining providers on the stack to previous values
     for (let index = this.contextIndex; index >= 0; index--) {
@@ -579,11 +1702,16 @@ class ReactDOMServerRenderer {
     }
   }
 
-  read(bytes: number): string | null {
+  // With a `deadline`, read() also returns once the deadline has passed, even
+  // if that's before it produced any markup. Each call gets at least one
+  // child done, so that a render always makes progress.
+  read(bytes: number, deadline?: number): string | null {
     if (this.exhausted) {
       return null;
     }
 
+    const readStartTime = Date.now();
+    this.renderDeadline = readStartTime + this.timeLimit - this.renderTime;
     const prevPartialRenderer = currentPartialRenderer;
     setCurrentPartialRenderer(this);
     const prevDispatcher = ReactCurrentDispatcher.current;
@@ -592,20 +1720,76 @@ class ReactDOMServerRenderer {
       // Markup generated within <Suspense> ends up buffered until we know
       // nothing in that boundary suspended
       const out = [''];
+      // Restore what was buffered inside still open boundaries when we last
+      // parked on a pending thenable.
+      for (let i = 0; i < this.parkedSuspenseBuffers.length; i++) {
+        out.push(this.parkedSuspenseBuffers[i]);
+      }
+      this.parkedSuspenseBuffers = [];
       let suspended = false;
+      let suspendedThenable = null;
+      let parked = false;
+      // Set while unwinding to the closest error boundary.
+      let errored = false;
+      let caughtError = null;
+      const profiler = this.profiler;
       while (out[0].length < bytes) {
         if (this.stack.length === 0) {
+          if (this.deferredBoundaries.length > 0) {
+            const deferredBoundary = this.takeDeferredBoundary();
+            if (deferredBoundary === null) {
+              // Nothing is ready yet. Wait until any boundary resolves.
+              this.pendingThenable = Promise.race(
+                this.deferredBoundaries.map(boundary => boundary.thenable),
+              );
+              break;
+            }
+            out.push(this.pushDeferredBoundary(deferredBoundary));
+            continue;
+          }
+          if (this.bootstrapMarkup !== '') {
+            // There was no <body> to put them in.
+            out[0] += this.bootstrapMarkup;
+            this.bootstrapMarkup = '';
+          }
           this.exhausted = true;
           freeThreadID(this.threadID);
+          if (profiler !== null) {
+            ((this.onProfile: any): Function)(profiler.finish());
+          }
           break;
         }
         const frame: Frame = this.stack[this.stack.length - 1];
-        if (suspended || frame.childIndex >= frame.children.length) {
+        if (
+          errored ||
+          suspended ||
+          frame.childIndex >= frame.children.length
+        ) {
           const footer = frame.footer;
           if (footer !== '') {
             this.previousWasTextNode = false;
           }
           this.stack.pop();
+          const parentIDScope = frame.parentIDScope;
+          if (parentIDScope !== undefined) {
+            this.idScope = parentIDScope.scope;
+            this.uniqueID = parentIDScope.uniqueID;
+          }
+          if (profiler !== null) {
+            if (!errored) {
+              profiler.addBytes(footer.length);
+            }
+            if (frame.profileOpenCount !== undefined) {
+              profiler.finishComponents(frame.profileOpenCount);
+            }
+          }
+          if (this.hydrationCursor !== null) {
+            if (typeof frame.type === 'string') {
+              this.hydrationCursor.exitElement(errored || suspended);
+            } else if (frame.type === REACT_SHADOW_ROOT_TYPE) {
+              this.hydrationCursor.exitShadowRoot(errored || suspended);
+            }
+          }
           if (frame.type === 'select') {
             this.currentSelectValue = null;
           } else if (
@@ -615,10 +1799,155 @@ class ReactDOMServerRenderer {
           ) {
             const provider: ReactProvider<any> = (frame.type: any);
             this.popProvider(provider);
+          } else if (frame.portalContainerID !== undefined) {
+            this.bufferDepth--;
+            const buffered = out.pop();
+            if (!errored) {
+              // Portal content goes out of band. Only the placement comment
+              // (the footer) ends up in the main output.
+              appendPortalMarkup(
+                this.boundaryResources.length > 0
+                  ? this.boundaryResources[this.boundaryResources.length - 1]
+                      .portalMarkup
+                  : this.portalMarkup,
+                frame.portalContainerID,
+                buffered,
+              );
+            }
+          } else if (frame.cacheRecording !== undefined) {
+            this.bufferDepth--;
+            const buffered = out.pop();
+            const recording = this.cacheRecordings.pop();
+            const componentCache = this.componentCache;
+            if (
+              componentCache !== null &&
+              !errored &&
+              !suspended &&
+              !recording.tainted
+            ) {
+              componentCache.set(recording.key, {
+                markup: buffered,
+                contextDependencies: recording.contextDependencies,
+                endsWithText: this.previousWasTextNode,
+              });
+            }
+            // If anything went wrong, a boundary further up throws it away.
+            out[this.bufferDepth] += buffered;
+          } else if (frame.errorBoundary !== undefined) {
+            this.bufferDepth--;
+            const buffered = out.pop();
+            const headMarkup = this.popBoundaryResources(!errored);
+
+            if (errored) {
+              // Throw away whatever the boundary rendered so far and render
+              // its error state in its place.
+              let nextChildren;
+              try {
+                nextChildren = this.renderErrorState(
+                  frame.errorBoundary,
+                  caughtError,
+                );
+              } catch (err) {
+                if (!this.hasErrorBoundary()) {
+                  throw err;
+                }
+                // Keep unwinding to the next boundary up.
+                caughtError = err;
+                continue;
+              }
+              errored = false;
+              caughtError = null;
+              const errorFrame: Frame = {
+                type: null,
+                domNamespace: frame.domNamespace,
+                children: toArray(nextChildren),
+                childIndex: 0,
+                context: frame.context,
+                footer: '',
+              };
+              if (__DEV__) {
+                ((errorFrame: any): FrameDev).debugElementStack = [];
+              }
+              this.stack.push(errorFrame);
+              this.previousWasTextNode = false;
+              continue;
+            }
+            out[this.bufferDepth] += headMarkup + buffered;
           } else if (frame.type === REACT_SUSPENSE_TYPE) {
             this.suspenseDepth--;
+            this.bufferDepth--;
             const buffered = out.pop();
+            const deferredBoundary = frame.deferredBoundary;
+            const headMarkup = this.popBoundaryResources(
+              !errored && !suspended,
+            );
 
+            if (this.hydrationCursor !== null && deferredBoundary === undefined) {
+              this.hydrationCursor.exitSuspense(errored || suspended);
+            }
+
+            if (errored) {
+              if (deferredBoundary !== undefined) {
+                // Leave the fallback in place and let the client try again.
+                this.popDeferredBoundary(deferredBoundary);
+                errored = false;
+                caughtError = null;
+                out[this.bufferDepth] += createClientRenderBoundaryMarkup(
+                  getBoundaryID(this.identifierPrefix, deferredBoundary.id),
+                  this.nonce,
+                );
+              }
+              // Otherwise an error boundary further up will replace this
+              // content.
+              continue;
+            }
+
+            if (deferredBoundary !== undefined) {
+              // This is the content of a boundary whose fallback was already
+              // flushed. It goes at the end of the stream, hidden, and gets
+              // swapped in by an inline script.
+              this.popDeferredBoundary(deferredBoundary);
+              const boundaryID = getBoundaryID(
+                this.identifierPrefix,
+                deferredBoundary.id,
+              );
+              if (suspended) {
+                suspended = false;
+                if (this.canWaitForSuspense()) {
+                  this.deferBoundary(
+                    deferredBoundary,
+                    frame,
+                    (suspendedThenable: any),
+                  );
+                } else {
+                  // Leave the fallback in place and let the client render it.
+                  out[this.bufferDepth] += createClientRenderBoundaryMarkup(
+                    boundaryID,
+                    this.nonce,
+                  );
+                }
+                suspendedThenable = null;
+                continue;
+              }
+              out[this.bufferDepth] +=
+                headMarkup +
+                buffered +
+                createSegmentCloseMarkup(
+                  boundaryID,
+                  getSegmentID(this.identifierPrefix, deferredBoundary.id),
+                  this.nonce,
+                  !this.didEmitCompleteBoundaryFunction,
+                );
+              this.didEmitCompleteBoundaryFunction = true;
+              continue;
+            }
+
+            if (suspended && this.hydrationCursor !== null) {
+              // The client can't hydrate this boundary yet, and there's no
+              // point matching the fallback against the server content.
+              suspended = false;
+              continue;
+            }
             if (suspended) {
               suspended = false;
               // If rendering was suspended at this boundary, render the fallbackFrame
@@ -628,22 +1957,64 @@ class ReactDOMServerRenderer {
                 'ReactDOMServer did not find an internal fallback frame for Suspense. ' +
                   'This is a bug in React. Please file an issue.',
               );
+              fallbackFrame.parentIDScope = this.enterIDScope(
+                (fallbackFrame.idScope: any),
+              );
               this.stack.push(fallbackFrame);
-              out[this.suspenseDepth] += '<!--$!-->';
+              if (suspendedThenable !== null) {
+                // Flush the fallback now and stream the content once it's ready.
+                const newBoundary = this.deferBoundary(
+                  null,
+                  frame,
+                  suspendedThenable,
+                );
+                suspendedThenable = null;
+                out[this.bufferDepth] += createPendingBoundaryMarkup(
+                  getBoundaryID(this.identifierPrefix, newBoundary.id),
+                );
+              } else {
+                out[this.bufferDepth] += '<!--$!-->';
+              }
               // Skip flushing output since we're switching to the fallback
               continue;
             } else {
-              out[this.suspenseDepth] += buffered;
+              out[this.bufferDepth] += headMarkup + buffered;
             }
           }
 
+          if (errored) {
+            continue;
+          }
+
+          if (
+            this.headState === HEAD_OPEN &&
+            frame.type === 'head' &&
+            this.bufferDepth === 0
+          ) {
+            this.headState = HEAD_CLOSE_PENDING;
+            this.headCloseOffset = out[0].length;
+            continue;
+          }
+          if (
+            frame.type === 'body' &&
+            this.isDocument &&
+            this.bufferDepth === 0
+          ) {
+            out[0] += this.bootstrapMarkup;
+            this.bootstrapMarkup = '';
+          }
+
           // Flush output
-          out[this.suspenseDepth] += footer;
+          out[this.bufferDepth] += footer;
           continue;
         }
         const child = frame.children[frame.childIndex++];
+        const uniqueID = this.uniqueID;
 
         let outBuffer = '';
+        const profileOpenCount =
+          profiler !== null ? profiler.getOpenCount() : 0;
+        const stackDepth = this.stack.length;
         if (__DEV__) {
           pushCurrentDebugStack(this.stack);
           // We're starting work on this frame, so reset its inner stack.
@@ -651,8 +2022,13 @@ class ReactDOMServerRenderer {
         }
         try {
           outBuffer += this.render(child, frame.context, frame.domNamespace);
+          this.checkRenderLimits(outBuffer.length);
         } catch (err) {
-          if (err != null && typeof err.then === 'function') {
+          this.taintCacheRecordings();
+          if (err instanceof RenderLimitError) {
+            // Error boundaries don't get to catch this one.
+            throw err;
+          } else if (err != null && typeof err.then === 'function') {
             if (enableSuspenseServerRenderer) {
               invariant(
                 this.suspenseDepth > 0,
@@ -662,25 +2038,86 @@ class ReactDOMServerRenderer {
                   'Add a <Suspense fallback=...> component higher in the tree to ' +
                   'provide a loading indicator or placeholder to display.',
               );
-              suspended = true;
+              if (this.canWaitForSuspense() && this.outOfOrderStreaming) {
+                // Unwind to the closest boundary, which will defer its content.
+                suspended = true;
+                suspendedThenable = err;
+              } else if (this.canWaitForSuspense()) {
+                // Rewind so that the same child is retried once the data it
+                // is waiting for has resolved.
+                // It gets the same IDs again, too.
+                frame.childIndex--;
+                this.uniqueID = uniqueID;
+                this.pendingThenable = err;
+                parked = true;
+              } else {
+                suspended = true;
+              }
             } else {
               invariant(false, 'ReactDOMServer does not yet support Suspense.');
             }
           } else {
-            throw err;
+            if (!this.hasErrorBoundary()) {
+              throw err;
+            }
+            // Unwind to the closest error boundary and render its error
+            // state instead of failing the whole response.
+            if (this.onError !== undefined) {
+              this.onError(err, getCurrentServerStackImpl());
+            }
+            resetHooksState();
+            errored = true;
+            caughtError = err;
           }
         } finally {
           if (__DEV__) {
             popCurrentDebugStack();
           }
         }
-        if (out.length <= this.suspenseDepth) {
+        if (profiler !== null) {
+          profiler.addBytes(outBuffer.length);
+          if (profiler.getOpenCount() > profileOpenCount) {
+            if (this.stack.length > stackDepth) {
+              // The components that rendered go on until the children they
+              // returned are done.
+              this.stack[stackDepth].profileOpenCount = profileOpenCount;
+            } else {
+              profiler.finishComponents(profileOpenCount);
+            }
+          }
+        }
+        if (parked) {
+          this.parkedSuspenseBuffers = out.slice(1);
+          break;
+        }
+        if (out.length <= this.bufferDepth) {
           out.push('');
         }
-        out[this.suspenseDepth] += outBuffer;
+        out[this.bufferDepth] += outBuffer;
+        if (
+          deadline !== undefined &&
+          !errored &&
+          !suspended &&
+          Date.now() >= deadline
+        ) {
+          // Out of time. What's buffered inside still open boundaries is kept
+          // for the next read, the same way as when we park.
+          this.parkedSuspenseBuffers = out.slice(1);
+          break;
+        }
+      }
+      if (this.headState === HEAD_CLOSE_PENDING) {
+        this.headState = HEAD_FLUSHED;
+        return (
+          out[0].slice(0, this.headCloseOffset) +
+          this.getHeadMarkup() +
+          '</head>' +
+          out[0].slice(this.headCloseOffset)
+        );
       }
       return out[0];
     } finally {
+      this.renderTime += Date.now() - readStartTime;
       ReactCurrentDispatcher.current = prevDispatcher;
       setCurrentPartialRenderer(prevPartialRenderer);
       resetHooksState();
@@ -697,6 +2134,9 @@ class ReactDOMServerRenderer {
       if (text === '') {
         return '';
       }
+      if (this.hydrationCursor !== null) {
+        this.hydrationCursor.text(text);
+      }
       if (this.makeStaticMarkup) {
         return escapeTextForBrowser(text);
       }
@@ -707,18 +2147,39 @@ class ReactDOMServerRenderer {
       return escapeTextForBrowser(text);
     } else {
       let nextChild;
-      ({child: nextChild, context} = resolve(child, context, this.threadID));
+      let errorBoundary;
+      ({child: nextChild, context, errorBoundary} = resolve(
+        child,
+        context,
+        this.threadID,
+      ));
+      if (errorBoundary !== null) {
+        const frame: Frame = {
+          type: null,
+          errorBoundary,
+          domNamespace: parentNamespace,
+          children: toArray(nextChild),
+          childIndex: 0,
+          context: context,
+          footer: '',
+        };
+        if (__DEV__) {
+          ((frame: any): FrameDev).debugElementStack = [];
+        }
+        this.stack.push(frame);
+        this.bufferDepth++;
+        this.pushBoundaryResources();
+        return '';
+      }
       if (nextChild === null || nextChild === false) {
         return '';
       } else if (!React.isValidElement(nextChild)) {
         if (nextChild != null && nextChild.$$typeof != null) {
           // Catch unexpected special types early.
           const $$typeof = nextChild.$$typeof;
-          invariant(
-            $$typeof !== REACT_PORTAL_TYPE,
-            'Portals are not currently supported by the server renderer. ' +
-              'Render them conditionally so that they only appear on the client render.',
-          );
+          if ($$typeof === REACT_PORTAL_TYPE) {
+            return this.renderPortal((nextChild: any), context);
+          }
           // Catch-all to prevent an infinite loop if React.Children.toArray() supports some new type.
           invariant(
             false,
@@ -807,10 +2268,15 @@ class ReactDOMServerRenderer {
             const nextChildren = toArray(
               ((nextChild: any): ReactElement).props.children,
             );
+            // A cache hit wouldn't take the boundary's place in the ID scope.
+            this.taintCacheRecordings();
+            const boundaryIDScope =
+              this.idScope + (this.uniqueID++).toString(36);
             const fallbackFrame: Frame = {
               type: null,
               domNamespace: parentNamespace,
               children: fallbackChildren,
+              idScope: boundaryIDScope + 'f:',
               childIndex: 0,
               context: context,
               footer: '<!--/$-->',
@@ -820,6 +2286,8 @@ class ReactDOMServerRenderer {
               type: REACT_SUSPENSE_TYPE,
               domNamespace: parentNamespace,
               children: nextChildren,
+              idScope: boundaryIDScope + ':',
+              parentIDScope: this.enterIDScope(boundaryIDScope + ':'),
               childIndex: 0,
               context: context,
               footer: '<!--/$-->',
@@ -830,6 +2298,11 @@ class ReactDOMServerRenderer {
             }
             this.stack.push(frame);
             this.suspenseDepth++;
+            this.bufferDepth++;
+            this.pushBoundaryResources();
+            if (this.hydrationCursor !== null) {
+              this.hydrationCursor.enterSuspense();
+            }
             return '<!--$-->';
           } else {
             invariant(false, 'ReactDOMServer does not yet support Suspense.');
@@ -861,6 +2334,9 @@ class ReactDOMServerRenderer {
           );
         }
         // eslint-disable-next-line-no-fallthrough
+        case REACT_SHADOW_ROOT_TYPE: {
+          return this.renderShadowRoot(nextElement, context, parentNamespace);
+        }
         default:
           break;
       }
@@ -870,6 +2346,10 @@ class ReactDOMServerRenderer {
             const element: ReactElement = ((nextChild: any): ReactElement);
             let nextChildren;
             const componentIdentity = {};
+            const profiler = this.profiler;
+            if (profiler !== null) {
+              profiler.startComponent(elementType);
+            }
             prepareToUseHooks(componentIdentity);
             nextChildren = elementType.render(element.props, element.ref);
             nextChildren = finishHooks(
@@ -878,6 +2358,9 @@ class ReactDOMServerRenderer {
               nextChildren,
               element.ref,
             );
+            if (profiler !== null) {
+              profiler.stopComponentRender();
+            }
             nextChildren = toArray(nextChildren);
             const frame: Frame = {
               type: null,
@@ -895,6 +2378,20 @@ class ReactDOMServerRenderer {
           }
           case REACT_MEMO_TYPE: {
             const element: ReactElement = ((nextChild: any): ReactElement);
+            if (
+              this.componentCache !== null &&
+              typeof elementType.cacheKey === 'function' &&
+              this.hydrationCursor === null
+            ) {
+              const markup = this.renderCacheable(
+                element,
+                context,
+                parentNamespace,
+              );
+              if (markup !== null) {
+                return markup;
+              }
+            }
             const nextChildren = [
               React.createElement(
                 elementType.type,
@@ -967,6 +2464,7 @@ class ReactDOMServerRenderer {
             const threadID = this.threadID;
             validateContextBounds(reactContext, threadID);
             const nextValue = reactContext[threadID];
+            this.recordContextRead(reactContext, nextValue);
 
             const nextChildren = toArray(nextProps.children(nextValue));
             const frame: Frame = {
@@ -1084,6 +2582,208 @@ class ReactDOMServerRenderer {
     }
   }
 
+  // Returns the cached markup of a memo component with a `cacheKey`, or
+  // starts recording it. Returns null if this element can't be cached.
+  renderCacheable(
+    element: ReactElement,
+    context: Object,
+    parentNamespace: string,
+  ): string | null {
+    const cacheKey = element.type.cacheKey(element.props);
+    // Legacy context from above isn't tracked.
+    if (cacheKey == null || context !== emptyObject) {
+      return null;
+    }
+    const key =
+      getComponentCacheID(element.type) +
+      ':' +
+      cacheKey +
+      (this.makeStaticMarkup ? ':static' : '') +
+      // The markup starts with a <!-- --> separator after a text node.
+      (this.previousWasTextNode ? ':text' : '');
+    const componentCache = ((this.componentCache: any): ComponentCache);
+    const cached = componentCache.get(key);
+    if (cached != null && this.isCachedSubtreeCurrent(cached)) {
+      // Subtrees being recorded around this one read the same contexts.
+      const contextDependencies = cached.contextDependencies;
+      for (let i = 0; i < contextDependencies.length; i++) {
+        this.recordContextRead(
+          contextDependencies[i].context,
+          contextDependencies[i].value,
+        );
+      }
+      this.previousWasTextNode = cached.endsWithText;
+      return cached.markup;
+    }
+    const recording = {
+      key,
+      contextIndex: this.contextIndex,
+      contextDependencies: [],
+      tainted: false,
+    };
+    const frame: Frame = {
+      type: null,
+      cacheRecording: recording,
+      domNamespace: parentNamespace,
+      children: [
+        React.createElement(
+          element.type.type,
+          Object.assign({ref: element.ref}, element.props),
+        ),
+      ],
+      childIndex: 0,
+      context: context,
+      footer: '',
+    };
+    if (__DEV__) {
+      ((frame: any): FrameDev).debugElementStack = [];
+    }
+    this.stack.push(frame);
+    this.cacheRecordings.push(recording);
+    this.bufferDepth++;
+    return '';
+  }
+
+  isCachedSubtreeCurrent(cached: CachedSubtree): boolean {
+    const contextDependencies = cached.contextDependencies;
+    for (let i = 0; i < contextDependencies.length; i++) {
+      const {context, value} = contextDependencies[i];
+      validateContextBounds(context, this.threadID);
+      if (!is(context[this.threadID], value)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Called with every context value that's read while rendering.
+  recordContextRead(context: ReactContext<any>, value: mixed): void {
+    for (let i = 0; i < this.cacheRecordings.length; i++) {
+      const recording = this.cacheRecordings[i];
+      let isProvidedInside = false;
+      for (
+        let index = this.contextIndex;
+        index > recording.contextIndex;
+        index--
+      ) {
+        if (this.contextStack[index] === context) {
+          isProvidedInside = true;
+          break;
+        }
+      }
+      if (isProvidedInside) {
+        continue;
+      }
+      const contextDependencies = recording.contextDependencies;
+      let isRecorded = false;
+      for (let j = 0; j < contextDependencies.length; j++) {
+        if (contextDependencies[j].context === context) {
+          isRecorded = true;
+          break;
+        }
+      }
+      if (!isRecorded) {
+        contextDependencies.push({context, value});
+      }
+    }
+  }
+
+  taintCacheRecordings(): void {
+    for (let i = 0; i < this.cacheRecordings.length; i++) {
+      this.cacheRecordings[i].tainted = true;
+    }
+  }
+
+  renderPortal(portal: Object, context: Object): string {
+    // A cache hit would only restore the placeholder, not the portal content.
+    this.taintCacheRecordings();
+    const containerInfo = portal.containerInfo;
+    const containerID =
+      typeof containerInfo === 'string'
+        ? containerInfo
+        : containerInfo != null && typeof containerInfo.id === 'string'
+        ? containerInfo.id
+        : null;
+    invariant(
+      containerID !== null && VALID_PORTAL_CONTAINER_ID_REGEX.test(containerID),
+      'Portals rendered on the server need a container ID made of letters, ' +
+        'digits, "_", ":", "." and single dashes. Pass the ID (or an object ' +
+        'with an `id`) as the portal container instead of a DOM node.',
+    );
+    const frame: Frame = {
+      type: REACT_PORTAL_TYPE,
+      portalContainerID: containerID,
+      // The container is outside of this tree, so we don't know its namespace.
+      domNamespace: Namespaces.html,
+      // When hydrating, the portal content isn't part of the DOM being walked.
+      children:
+        this.hydrationCursor !== null ? [] : toArray(portal.children),
+      childIndex: 0,
+      context: context,
+      footer: '<!--p:' + containerID + '-->',
+    };
+    if (__DEV__) {
+      ((frame: any): FrameDev).debugElementStack = [];
+    }
+    this.stack.push(frame);
+    this.bufferDepth++;
+    this.previousWasTextNode = false;
+    return '';
+  }
+
+  // The children of a <ShadowRoot> go into a declarative shadow root of the
+  // host element it's rendered in, along with its adopted stylesheets.
+  renderShadowRoot(
+    element: ReactElement,
+    context: Object,
+    parentNamespace: string,
+  ): string {
+    const props = element.props;
+    const mode = props.mode != null ? props.mode : 'open';
+    let out = createShadowRootOpenMarkup(mode, !!props.delegatesFocus);
+    const styleSheets =
+      props.adoptedStyleSheets != null ? props.adoptedStyleSheets : [];
+    if (__DEV__) {
+      if (
+        styleSheets.length > 0 &&
+        this.strictCSP &&
+        this.nonce == null &&
+        !didWarnAboutShadowRootStylesWithoutNonce
+      ) {
+        didWarnAboutShadowRootStylesWithoutNonce = true;
+        console.error(
+          'The adopted stylesheets of a <ShadowRoot> are rendered as inline ' +
+            '<style> elements, which a strict Content-Security-Policy only ' +
+            'allows with a nonce. Pass a `nonce` to the renderer.',
+        );
+      }
+    }
+    if (styleSheets.length > 0 && this.nonce != null) {
+      // The nonce is only valid for this response.
+      this.taintCacheRecordings();
+    }
+    for (let i = 0; i < styleSheets.length; i++) {
+      out += createShadowRootStyleMarkup(styleSheets[i], this.nonce);
+    }
+    if (this.hydrationCursor !== null) {
+      this.hydrationCursor.enterShadowRoot(styleSheets.length);
+    }
+    const frame: Frame = {
+      type: REACT_SHADOW_ROOT_TYPE,
+      domNamespace: parentNamespace,
+      children: toArray(props.children),
+      childIndex: 0,
+      context: context,
+      footer: createShadowRootCloseMarkup(),
+    };
+    if (__DEV__) {
+      ((frame: any): FrameDev).debugElementStack = [];
+    }
+    this.stack.push(frame);
+    this.previousWasTextNode = false;
+    return out;
+  }
+
   renderDOM(
     element: ReactElement,
     context: Object,
@@ -1308,7 +3008,52 @@ class ReactDOMServerRenderer {
       validatePropertiesInDevelopment(tag, props);
     }
 
-    assertValidProps(tag, props);
+    assertValidProps(
+      tag,
+      props,
+      this.requireTrustedTypes,
+      getCurrentComponentName,
+    );
+
+    if (this.strictCSP) {
+      props = this.applyStrictCSP(tag, props);
+    }
+
+    const isRootElement =
+      this.stack.length === 1 && this.stack[0].deferredBoundary === undefined;
+    if (tag === 'html' && isRootElement) {
+      this.isDocument = true;
+    }
+    if (this.headResources !== null && namespace === Namespaces.html) {
+      if (
+        tag === 'head' &&
+        this.isDocument &&
+        this.headState === HEAD_NOT_RENDERED
+      ) {
+        this.headState = HEAD_OPEN;
+      } else if (isHeadResource(tag, props)) {
+        // A cache hit would leave the head without it.
+        this.taintCacheRecordings();
+        const key = getHeadResourceKey(tag, props);
+        if (key !== null) {
+          if (this.headResourceKeys.hasOwnProperty(key)) {
+            return '';
+          }
+          this.headResourceKeys[key] = true;
+          if (this.boundaryResources.length > 0) {
+            this.boundaryResources[
+              this.boundaryResources.length - 1
+            ].headResourceKeys.push(key);
+          }
+        }
+        // Inside the <head> itself, or once it has been flushed, they stay
+        // where they are.
+        if (this.headState !== HEAD_OPEN && this.headState !== HEAD_FLUSHED) {
+          this.hoistHeadResource(element, tag, props, key);
+          return '';
+        }
+      }
+    }
 
     let out = createOpenTagMarkup(
       element.type,
@@ -1316,7 +3061,9 @@ class ReactDOMServerRenderer {
       props,
       namespace,
       this.makeStaticMarkup,
-      this.stack.length === 1,
+      isRootElement,
+      this.urlPolicy,
+      error => this.reportURLPolicyViolation(error),
     );
     let footer = '';
     if (omittedCloseTags.hasOwnProperty(tag)) {
@@ -1325,8 +3072,33 @@ class ReactDOMServerRenderer {
       out += '>';
       footer = '</' + element.type + '>';
     }
+    if (this.hydrationCursor !== null) {
+      this.hydrationCursor.enterElement(element, tag, props, out);
+    }
+    if (tag === 'html' && isRootElement) {
+      out = DOCTYPE + out;
+    }
+    if (this.customElements !== null && isCustomComponentFn(tag, props)) {
+      // The shadow root has to come first, before any light DOM children.
+      const shadowRootMarkup = getCustomElementShadowRootMarkup(
+        this.customElements,
+        tag,
+        props,
+        this.nonce,
+      );
+      if (shadowRootMarkup !== '' && this.nonce != null) {
+        // Its stylesheets carry the nonce, which is only valid for this
+        // response.
+        this.taintCacheRecordings();
+      }
+      out += shadowRootMarkup;
+    }
     let children;
-    const innerMarkup = getNonChildrenInnerMarkup(props);
+    const innerMarkup = getNonChildrenInnerMarkup(
+      tag,
+      props,
+      this.sanitizeHTML,
+    );
     if (innerMarkup != null) {
       children = [];
       if (
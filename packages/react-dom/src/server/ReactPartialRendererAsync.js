@@ -0,0 +1,132 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type {ServerOptions} from './ReactPartialRenderer';
+
+import ReactPartialRenderer from './ReactPartialRenderer';
+
+const DEFAULT_SUSPENSE_TIMEOUT = 5000;
+
+// Timers with a longer delay than this fire right away instead.
+const MAX_TIMEOUT = 0x7fffffff;
+
+// Resolves once the thenable settles or the deadline passes, whichever comes
+// first. A rejected thenable is treated like a resolved one: retrying the
+// component lets it throw the real error (or suspend again).
+function waitForThenable(
+  partialRenderer: ReactPartialRenderer,
+  thenable,
+  deadline: number,
+): Promise<void> {
+  return new Promise(resolve => {
+    let timeoutID = null;
+    const ping = () => {
+      if (timeoutID !== null) {
+        clearTimeout(timeoutID);
+        timeoutID = null;
+        partialRenderer.suspenseTimeoutID = null;
+      }
+      resolve();
+    };
+    if (deadline !== Infinity) {
+      // A deadline that is further out than the longest timer just means
+      // we retry when the timer fires and wait again.
+      timeoutID = setTimeout(
+        ping,
+        Math.min(MAX_TIMEOUT, Math.max(0, deadline - Date.now())),
+      );
+      partialRenderer.suspenseTimeoutID = timeoutID;
+    }
+    thenable.then(ping, ping);
+  });
+}
+
+export function startAsyncSuspense(
+  partialRenderer: ReactPartialRenderer,
+  options?: ServerOptions,
+): void {
+  const timeout =
+    options && options.suspenseTimeout != null
+      ? options.suspenseTimeout
+      : DEFAULT_SUSPENSE_TIMEOUT;
+  partialRenderer.setSuspenseDeadline(Date.now() + timeout);
+}
+
+// Streams emit the closest fallback right away unless a `suspenseTimeout` or
+// `outOfOrderStreaming` is passed, in which case they wait like the string
+// renderers do.
+export function startStreamSuspense(
+  partialRenderer: ReactPartialRenderer,
+  options?: ServerOptions,
+): void {
+  if (
+    options &&
+    (options.suspenseTimeout != null || options.outOfOrderStreaming)
+  ) {
+    startAsyncSuspense(partialRenderer, options);
+  }
+}
+
+const scheduleSlice =
+  typeof setImmediate === 'function'
+    ? setImmediate
+    : (callback: () => void) => setTimeout(callback, 0);
+
+/**
+ * Resolves with the next non-empty chunk of markup, or null once the renderer
+ * is exhausted, waiting on any data the renderer suspended on in between.
+ * With a `timeSlice`, each read() is cut short once it's used up its slice
+ * and the next one is scheduled as a new task, letting other work run.
+ */
+export function readAsync(
+  partialRenderer: ReactPartialRenderer,
+  bytes: number,
+): Promise<string | null> {
+  return new Promise((resolve, reject) => {
+    function work() {
+      const thenable = partialRenderer.pendingThenable;
+      if (thenable !== null) {
+        partialRenderer.pendingThenable = null;
+        waitForThenable(
+          partialRenderer,
+          thenable,
+          partialRenderer.suspenseDeadline,
+        ).then(work);
+        return;
+      }
+      const timeSlice = partialRenderer.timeSlice;
+      let markup;
+      try {
+        markup =
+          timeSlice === Infinity
+            ? partialRenderer.read(bytes)
+            : partialRenderer.read(bytes, Date.now() + timeSlice);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      if (markup === '') {
+        if (timeSlice === Infinity) {
+          work();
+        } else {
+          scheduleSlice(work);
+        }
+        return;
+      }
+      resolve(markup);
+    }
+    if (partialRenderer.timeSlice === Infinity) {
+      work();
+    } else {
+      // Whatever we were called from has had its turn. This also yields
+      // between chunks, which are otherwise read in a chain of microtasks.
+      scheduleSlice(work);
+    }
+  });
+}
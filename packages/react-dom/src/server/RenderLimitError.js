@@ -0,0 +1,27 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+export type RenderLimit = 'elements' | 'bytes' | 'depth' | 'time';
+
+// Thrown when a render goes over one of the limits in its options. The
+// renderer has been destroyed by the time it's thrown, so the render can't be
+// resumed. `componentStack` is where rendering was when it was aborted.
+export default class RenderLimitError extends Error {
+  limit: RenderLimit;
+  componentStack: string;
+
+  constructor(limit: RenderLimit, message: string, componentStack: string) {
+    super(message + componentStack);
+    // Transpiled classes don't get the prototype of a subclassed Error.
+    Object.setPrototypeOf(this, RenderLimitError.prototype);
+    this.name = 'RenderLimitError';
+    this.limit = limit;
+    this.componentStack = componentStack;
+  }
+}
@@ -5,6 +5,8 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import escapeTextForBrowser from './escapeTextForBrowser';
+
 /**
  * Escapes attribute value to prevent scripting attacks.
  *
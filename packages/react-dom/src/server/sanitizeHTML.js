@@ -0,0 +1,252 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import invariant from 'shared/invariant';
+import escapeTextForBrowser from './escapeTextForBrowser';
+
+export type SanitizeHTML = (
+  html: string,
+  context: {|tag: string, props: Object|},
+) => string;
+
+// A small allow-list sanitizer for user generated rich text. It keeps basic
+// formatting, drops every other tag (and the content of the ones that
+// aren't text, like <script>), drops every attribute that isn't listed and
+// closes whatever it opened, so the result can't escape its container.
+// It doesn't try to be a general purpose HTML parser.
+
+// The content of these is script or CSS rather than HTML, so there's nothing
+// here that could sanitize it. The renderer writes it out as is.
+export const rawTextTags = {
+  script: true,
+  style: true,
+};
+
+const allowedTags = {
+  a: true,
+  abbr: true,
+  b: true,
+  blockquote: true,
+  br: true,
+  cite: true,
+  code: true,
+  del: true,
+  em: true,
+  h1: true,
+  h2: true,
+  h3: true,
+  h4: true,
+  h5: true,
+  h6: true,
+  hr: true,
+  i: true,
+  ins: true,
+  li: true,
+  mark: true,
+  ol: true,
+  p: true,
+  pre: true,
+  q: true,
+  s: true,
+  small: true,
+  span: true,
+  strong: true,
+  sub: true,
+  sup: true,
+  u: true,
+  ul: true,
+};
+
+const voidTags = {
+  br: true,
+  hr: true,
+};
+
+// Tags whose content goes away with them.
+const droppedContentTags = {
+  embed: true,
+  iframe: true,
+  math: true,
+  noembed: true,
+  noframes: true,
+  noscript: true,
+  object: true,
+  script: true,
+  select: true,
+  style: true,
+  svg: true,
+  template: true,
+  textarea: true,
+  title: true,
+  xmp: true,
+};
+
+const globalAttributes = {
+  dir: true,
+  lang: true,
+  title: true,
+};
+
+const allowedAttributes = {
+  a: {href: true},
+  blockquote: {cite: true},
+  del: {cite: true},
+  ins: {cite: true},
+  q: {cite: true},
+};
+
+const urlAttributes = {
+  cite: true,
+  href: true,
+};
+
+const TAG_REGEX = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+const ATTRIBUTE_REGEX = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const ENTITY_REGEX = /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z]+));?/g;
+const SAFE_URL_REGEX = /^(?:(?:https?|mailto):|[^a-zA-Z]|[a-zA-Z][^:\/?#]*(?:[\/?#]|$))/;
+const IGNORED_URL_CHARS_REGEX = /[\u0000- ]/g;
+
+const namedEntities = {
+  amp: '&',
+  apos: "'",
+  colon: ':',
+  gt: '>',
+  lt: '<',
+  nbsp: '\u00A0',
+  newline: '\n',
+  quot: '"',
+  tab: '\t',
+};
+
+function decodeEntities(value: string): string {
+  return value.replace(ENTITY_REGEX, (match, decimal, hex, name) => {
+    if (name !== undefined) {
+      return namedEntities.hasOwnProperty(name.toLowerCase())
+        ? namedEntities[name.toLowerCase()]
+        : match;
+    }
+    const codePoint =
+      hex !== undefined ? parseInt(hex, 16) : parseInt(decimal, 10);
+    return codePoint > 0 && codePoint <= 0x10ffff
+      ? String.fromCodePoint(codePoint)
+      : '\uFFFD';
+  });
+}
+
+function isSafeURL(url: string): boolean {
+  return SAFE_URL_REGEX.test(url.replace(IGNORED_URL_CHARS_REGEX, ''));
+}
+
+function sanitizeAttributes(tag: string, attributes: string): string {
+  let result = '';
+  const tagAttributes = allowedAttributes.hasOwnProperty(tag)
+    ? allowedAttributes[tag]
+    : null;
+  let match;
+  ATTRIBUTE_REGEX.lastIndex = 0;
+  while ((match = ATTRIBUTE_REGEX.exec(attributes)) !== null) {
+    const name = match[1].toLowerCase();
+    if (
+      !globalAttributes.hasOwnProperty(name) &&
+      (tagAttributes === null || !tagAttributes.hasOwnProperty(name))
+    ) {
+      continue;
+    }
+    const rawValue =
+      match[2] !== undefined
+        ? match[2]
+        : match[3] !== undefined
+        ? match[3]
+        : match[4] !== undefined
+        ? match[4]
+        : '';
+    const value = decodeEntities(rawValue);
+    if (urlAttributes.hasOwnProperty(name) && !isSafeURL(value)) {
+      continue;
+    }
+    result += ' ' + name + '="' + escapeTextForBrowser(value) + '"';
+  }
+  return result;
+}
+
+export default function sanitizeHTML(
+  html: string,
+  context?: {|tag: string, props: Object|},
+): string {
+  invariant(
+    context == null || !rawTextTags.hasOwnProperty(context.tag),
+    'sanitizeHTML only sanitizes HTML, not the content of <%s>.',
+    context == null ? '' : context.tag,
+  );
+  let result = '';
+  const openTags = [];
+  let index = 0;
+  while (index < html.length) {
+    const tagStart = html.indexOf('<', index);
+    if (tagStart === -1) {
+      result += html.slice(index);
+      break;
+    }
+    result += html.slice(index, tagStart);
+    index = tagStart;
+
+    if (html.startsWith('<!--', index)) {
+      const commentEnd = html.indexOf('-->', index + 4);
+      index = commentEnd === -1 ? html.length : commentEnd + 3;
+      continue;
+    }
+    if (html.startsWith('<!', index) || html.startsWith('<?', index)) {
+      const declarationEnd = html.indexOf('>', index);
+      index = declarationEnd === -1 ? html.length : declarationEnd + 1;
+      continue;
+    }
+
+    TAG_REGEX.lastIndex = index;
+    const match = TAG_REGEX.exec(html);
+    if (match === null) {
+      // Not a tag, just a "<" in the text.
+      result += '&lt;';
+      index++;
+      continue;
+    }
+    index = TAG_REGEX.lastIndex;
+    const isClosingTag = match[1] === '/';
+    const tag = match[2].toLowerCase();
+
+    if (!isClosingTag && droppedContentTags.hasOwnProperty(tag)) {
+      const closingTagRegex = new RegExp('</' + tag + '\\s*>', 'gi');
+      closingTagRegex.lastIndex = index;
+      const closingTag = closingTagRegex.exec(html);
+      index = closingTag === null ? html.length : closingTagRegex.lastIndex;
+      continue;
+    }
+    if (!allowedTags.hasOwnProperty(tag)) {
+      continue;
+    }
+    if (isClosingTag) {
+      const openIndex = openTags.lastIndexOf(tag);
+      if (openIndex === -1) {
+        continue;
+      }
+      // Close everything that was opened inside of it too.
+      while (openTags.length > openIndex) {
+        result += '</' + openTags.pop() + '>';
+      }
+      continue;
+    }
+    result += '<' + tag + sanitizeAttributes(tag, match[3]) + '>';
+    if (!voidTags.hasOwnProperty(tag)) {
+      openTags.push(tag);
+    }
+  }
+  while (openTags.length > 0) {
+    result += '</' + openTags.pop() + '>';
+  }
+  return result;
+}
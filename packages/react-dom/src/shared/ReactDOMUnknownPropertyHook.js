@@ -5,7 +5,7 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import isCustomComponent from '../isCustomComponent';
+import isCustomComponent from './isCustomComponent';
 
 let validateProperty = () => {};
 
@@ -14,20 +14,25 @@ if (__DEV__) {
   const hasOwnProperty = Object.prototype.hasOwnProperty;
 
   validateProperty = function(tagName, name, value, eventRegistry) {
-    if hasOwnProperty.call(warnedProperties, name) && warnedProperties[name] {
+    if (hasOwnProperty.call(warnedProperties, name) && warnedProperties[name]) {
       return true;
     }
-  }
+    return true;
+  };
 }
 
 const warnUnknownProperties = function(type, props, eventRegistry) {
   if (__DEV__) {
     const unknownProps = [];
     for (const key in props) {
-      const isValid = validateProperty(type, key, props[key], eventRegistry)
+      const isValid = validateProperty(type, key, props[key], eventRegistry);
+      if (!isValid) {
+        unknownProps.push(key);
+      }
     }
   }
-}
+};
+
 export function validateProperties(type, props, eventRegistry) {
   if (isCustomComponent(type, props)) {
     return;
@@ -8,10 +8,17 @@
 import invariant from 'shared/invariant';
 
 import voidElementTags from './voidElementTags';
+import {getPropertyInfo} from './DOMProperty';
+import {isTrustedHTML, isTrustedScriptURL} from './trustedTypes';
 
 const HTML = '__html';
 
-function assertValidProps(tag: string, props: ?Object) {
+function assertValidProps(
+  tag: string,
+  props: ?Object,
+  requireTrustedTypes?: boolean,
+  getCurrentComponentName?: () => string,
+) {
   if (!props) {
     return;
   }
@@ -36,6 +43,43 @@ function assertValidProps(tag: string, props: ?Object) {
         'Please visit https://reactjs.org/link/dangerously-set-inner-html ' +
         'for more information.',
     );
+    if (
+      requireTrustedTypes &&
+      !isTrustedHTML(props.dangerouslySetInnerHTML[HTML])
+    ) {
+      invariant(
+        false,
+        '%s passed a %s as `dangerouslySetInnerHTML.__html` to <%s>, but ' +
+          'Trusted Types are required. Pass a TrustedHTML object instead.',
+        getCurrentComponentName ? getCurrentComponentName() : 'A component',
+        typeof props.dangerouslySetInnerHTML[HTML],
+        tag,
+      );
+    }
+  }
+  if (requireTrustedTypes) {
+    for (const propKey in props) {
+      const propValue = props[propKey];
+      if (propValue == null) {
+        continue;
+      }
+      const propertyInfo = getPropertyInfo(propKey);
+      if (
+        propertyInfo !== null &&
+        propertyInfo.sanitizeURL &&
+        !isTrustedScriptURL(propValue)
+      ) {
+        invariant(
+          false,
+          '%s passed a %s as `%s` to <%s>, but Trusted Types are required. ' +
+            'Pass a TrustedScriptURL object instead.',
+          getCurrentComponentName ? getCurrentComponentName() : 'A component',
+          typeof propValue,
+          propKey,
+          tag,
+        );
+      }
+    }
   }
   if (__DEV__) {
     if (
@@ -43,4 +43,93 @@ function sanitizeURL(url: string) {
   }
 }
 
+export type URLPolicy = {
+  // Schemes allowed in URL attributes, lowercase and without the colon.
+  // Relative URLs are always allowed. Defaults to http, https, mailto and tel.
+  allowedSchemes?: Array<string>,
+  // The attributes, by tag name, that may contain data: URLs. Defaults to
+  // images and media posters.
+  dataURLAttributes?: {[tagName: string]: Array<string>},
+  // Called with every URL that passed the checks above. Return the URL to
+  // write (possibly rewritten), or null to reject it.
+  transformURL?: (
+    url: string,
+    tagName: string,
+    attributeName: string,
+  ) => string | null,
+};
+
+const defaultAllowedSchemes = ['http', 'https', 'mailto', 'tel'];
+const defaultDataURLAttributes = {
+  img: ['src'],
+  source: ['src'],
+  video: ['poster'],
+};
+
+// Browsers ignore leading C0 controls and spaces, and any tab or newline
+// anywhere in the scheme, so we do the same before looking at it.
+const ignoredSchemeCharsRegex = /^[\u0000-\u001F ]+|[\r\n\t]/g;
+const schemeRegex = /^([a-zA-Z][a-zA-Z0-9+.\-]*):/;
+
+/**
+ * Checks a URL against a policy. Returns the URL to write, or an Error
+ * describing why it was rejected.
+ */
+export function applyURLPolicy(
+  url: string,
+  policy: URLPolicy,
+  tagName: string,
+  attributeName: string,
+): string | Error {
+  const match = schemeRegex.exec(url.replace(ignoredSchemeCharsRegex, ''));
+  if (match !== null) {
+    const scheme = match[1].toLowerCase();
+    let allowed;
+    if (scheme === 'data') {
+      const dataURLAttributes =
+        policy.dataURLAttributes !== undefined
+          ? policy.dataURLAttributes
+          : defaultDataURLAttributes;
+      allowed =
+        dataURLAttributes.hasOwnProperty(tagName) &&
+        dataURLAttributes[tagName].indexOf(attributeName) !== -1;
+    } else {
+      const allowedSchemes =
+        policy.allowedSchemes !== undefined
+          ? policy.allowedSchemes
+          : defaultAllowedSchemes;
+      allowed = allowedSchemes.indexOf(scheme) !== -1;
+    }
+    if (!allowed) {
+      return new Error(
+        'Blocked the URL ' +
+          JSON.stringify(url) +
+          ' in the `' +
+          attributeName +
+          '` attribute of <' +
+          tagName +
+          '> because the ' +
+          scheme +
+          ': scheme is not allowed by the URL policy.',
+      );
+    }
+  }
+  if (policy.transformURL !== undefined) {
+    const transformed = policy.transformURL(url, tagName, attributeName);
+    if (transformed === null) {
+      return new Error(
+        'Blocked the URL ' +
+          JSON.stringify(url) +
+          ' in the `' +
+          attributeName +
+          '` attribute of <' +
+          tagName +
+          '> because the URL policy rejected it.',
+      );
+    }
+    return transformed;
+  }
+  return url;
+}
+
 export default sanitizeURL;
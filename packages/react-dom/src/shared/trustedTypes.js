@@ -0,0 +1,30 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+// Trusted Types (https://w3c.github.io/webappsec-trusted-types/dist/spec/)
+// are recognized by the `trustedTypes` factory global, which browsers provide
+// and which a polyfill can install on the server. Without it nothing is
+// trusted, since any object could pretend to be.
+function getTrustedTypes(): Object | null {
+  // eslint-disable-next-line no-undef
+  return typeof trustedTypes !== 'undefined' && trustedTypes !== null
+    ? // eslint-disable-next-line no-undef
+      trustedTypes
+    : null;
+}
+
+export function isTrustedHTML(value: mixed): boolean {
+  const factory = getTrustedTypes();
+  return factory !== null && factory.isHTML(value);
+}
+
+export function isTrustedScriptURL(value: mixed): boolean {
+  const factory = getTrustedTypes();
+  return factory !== null && factory.isScriptURL(value);
+}
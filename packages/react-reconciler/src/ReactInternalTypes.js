@@ -7,7 +7,10 @@
  * @flow
  */
 
+import type {ReactContext} from 'shared/ReactTypes';
+
 type BasicStateAction<S> = (S => S) | S;
+type Dispatch<A> = A => void;
 
 export type Dispatcher = {|
   readContext<T>(
@@ -41,5 +44,6 @@ export type Dispatcher = {|
     deps: Array<mixed> | void | null,
   ): void,
   useDebugValue<T>(value: T, formatterFn: ?(value: T) => mixed): void,
-}
+  useOpaqueIdentifier(): any,
+|};
 
@@ -37,6 +37,10 @@ export type Interaction = {
 // Export all exports so that they're available in tests.
 // We can't use export * from in Flow for some reason.
 export {
+  __SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,
   Children,
   createRef,
+  unstable_ShadowRoot,
+  unstable_useOpaqueIdentifier,
+  useId,
 } from './src/React';
@@ -11,11 +11,14 @@ import ReactVersion from 'shared/ReactVersion';
 import {
   REACT_FRAGMENT_TYPE,
   REACT_STRICT_MODE_TYPE,
-  REACT_ASYNC_MODE_TYPE
+  REACT_ASYNC_MODE_TYPE,
+  REACT_SHADOW_ROOT_TYPE,
 } from 'shared/ReactSymbols';
 
 import {Component, PureComponent} from './ReactBaseClasses';
 import {createRef} from './ReactCreateRef';
+import {useOpaqueIdentifier} from './ReactHooks';
+import ReactSharedInternals from './ReactSharedInternals';
 import {forEach, map, count, toArray, only} from './ReactChildren';
 import {
   createElement,
@@ -28,4 +31,9 @@ const Children = {
 export {
   Children,
   createRef,
+  REACT_SHADOW_ROOT_TYPE as unstable_ShadowRoot,
+  useOpaqueIdentifier as useId,
+  // Kept for code written against the experimental name.
+  useOpaqueIdentifier as unstable_useOpaqueIdentifier,
+  ReactSharedInternals as __SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,
 };
@@ -0,0 +1,21 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import ReactCurrentDispatcher from './ReactCurrentDispatcher';
+import ReactCurrentOwner from './ReactCurrentOwner';
+import ReactDebugCurrentFrame from './ReactDebugCurrentFrame';
+
+const ReactSharedInternals = {
+  ReactCurrentDispatcher,
+  ReactCurrentOwner,
+};
+
+if (__DEV__) {
+  ReactSharedInternals.ReactDebugCurrentFrame = ReactDebugCurrentFrame;
+}
+
+export default ReactSharedInternals;
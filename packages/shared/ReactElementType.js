@@ -0,0 +1,29 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ */
+
+export type Source = {|
+  fileName: string,
+  lineNumber: number,
+|};
+
+export type ReactElement = {|
+  $$typeof: any,
+  type: any,
+  key: any,
+  ref: any,
+  props: any,
+  // ReactFiber
+  _owner: any,
+
+  // __DEV__
+  _store: {validated: boolean, ...},
+  _self: React$Element<any>,
+  _shadowChildren: any,
+  _source: Source,
+|};
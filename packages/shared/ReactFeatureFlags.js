@@ -11,6 +11,12 @@
 // This prevents e.g. <img src=""> from making an unnecessary HTTP request for certain browsers.
 export const enableFilterEmptyStringAttributesDOM = false;
 
+// Warn about deprecated, async-unsafe lifecycles; relates to RFC #6:
+export const warnAboutDeprecatedLifecycles = true;
+
+// Disables legacy context (contextTypes, childContextTypes, getChildContext).
+export const disableLegacyContext = false;
+
 // SSR experiments
 export const enableSuspenseServerRenderer = __EXPERIMENTAL__;
 
@@ -23,5 +23,73 @@ export const REACT_FRAGMENT_TYPE = hasSymbol
 export const REACT_STRICT_MODE_TYPE = hasSymbol
   ? Symbol.for('react.strict_mode')
   : 0xeacc;
-export let REACT_PROVIDER_TYPE = 0xeacd;
-export let REACT_CONTEXT_TYPE = 0xeace;
+export const REACT_PROFILER_TYPE = hasSymbol
+  ? Symbol.for('react.profiler')
+  : 0xead2;
+export const REACT_PROVIDER_TYPE = hasSymbol
+  ? Symbol.for('react.provider')
+  : 0xeacd;
+export const REACT_CONTEXT_TYPE = hasSymbol
+  ? Symbol.for('react.context')
+  : 0xeace;
+export const REACT_ASYNC_MODE_TYPE = hasSymbol
+  ? Symbol.for('react.async_mode')
+  : 0xeacf;
+export const REACT_FORWARD_REF_TYPE = hasSymbol
+  ? Symbol.for('react.forward_ref')
+  : 0xead0;
+export const REACT_SUSPENSE_TYPE = hasSymbol
+  ? Symbol.for('react.suspense')
+  : 0xead1;
+export const REACT_SUSPENSE_LIST_TYPE = hasSymbol
+  ? Symbol.for('react.suspense_list')
+  : 0xead8;
+export const REACT_MEMO_TYPE = hasSymbol
+  ? Symbol.for('react.memo')
+  : 0xead3;
+export const REACT_LAZY_TYPE = hasSymbol
+  ? Symbol.for('react.lazy')
+  : 0xead4;
+export const REACT_BLOCK_TYPE = hasSymbol
+  ? Symbol.for('react.block')
+  : 0xead9;
+export const REACT_SERVER_BLOCK_TYPE = hasSymbol
+  ? Symbol.for('react.server.block')
+  : 0xeada;
+export const REACT_FUNDAMENTAL_TYPE = hasSymbol
+  ? Symbol.for('react.fundamental')
+  : 0xead5;
+export const REACT_SCOPE_TYPE = hasSymbol
+  ? Symbol.for('react.scope')
+  : 0xead7;
+export const REACT_OPAQUE_ID_TYPE = hasSymbol
+  ? Symbol.for('react.opaque.id')
+  : 0xeae0;
+export const REACT_DEBUG_TRACING_MODE_TYPE = hasSymbol
+  ? Symbol.for('react.debug_trace_mode')
+  : 0xeae1;
+export const REACT_OFFSCREEN_TYPE = hasSymbol
+  ? Symbol.for('react.offscreen')
+  : 0xeae2;
+export const REACT_LEGACY_HIDDEN_TYPE = hasSymbol
+  ? Symbol.for('react.legacy_hidden')
+  : 0xeae3;
+export const REACT_SHADOW_ROOT_TYPE = hasSymbol
+  ? Symbol.for('react.shadow_root')
+  : 0xeae4;
+
+const MAYBE_ITERATOR_SYMBOL = typeof Symbol === 'function' && Symbol.iterator;
+const FAUX_ITERATOR_SYMBOL = '@@iterator';
+
+export function getIteratorFn(maybeIterable: ?any): ?() => ?Iterator<*> {
+  if (maybeIterable === null || typeof maybeIterable !== 'object') {
+    return null;
+  }
+  const maybeIterator =
+    (MAYBE_ITERATOR_SYMBOL && maybeIterable[MAYBE_ITERATOR_SYMBOL]) ||
+    maybeIterable[FAUX_ITERATOR_SYMBOL];
+  if (typeof maybeIterator === 'function') {
+    return maybeIterator;
+  }
+  return null;
+}